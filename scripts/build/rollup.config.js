@@ -65,7 +65,7 @@ module.exports = {
   ],
 
   external: [
-    ...['fs', 'path'].flatMap((m) => [m, `node:${m}`]),
+    ...['crypto', 'fs', 'path'].flatMap((m) => [m, `node:${m}`]),
     ...Object.keys(pkg.dependencies),
     ...Object.keys(pkg.peerDependencies),
   ],
@@ -0,0 +1,38 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { uniqueId } from './unique-id';
+
+/**
+ * Generate an anchor (i.e an HTML element identifier) from given text: since anchors are lossy (i.e
+ * `@foo/bar-baz` and `@foo-bar/baz` give the same anchor), the anchor is made unique in the document.
+ *
+ * @param {string} prefix The anchor prefix.
+ * @param {string} text The text.
+ * @param {Set<string>} ids The anchors already used in the document.
+ * @return {string} The anchor.
+ */
+export function anchorId(prefix, text, ids) {
+  return uniqueId(`${prefix}-${text.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-')}`, ids);
+}
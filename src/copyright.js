@@ -0,0 +1,167 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import _ from 'lodash';
+
+/**
+ * The pattern of copyright statements: a line starting with `Copyright`, `(c)` or `©`
+ * (possibly prefixed by a comment marker), i.e `Copyright (c) 2016-2024 Mickael Jeanroy`.
+ *
+ * @type {RegExp}
+ */
+const COPYRIGHT_STATEMENT = /^[\s*#/]*(copyright\b|\(c\)|©)[ \t]*([^\r\n]*)$/gim;
+
+/**
+ * The pattern of copyright symbols that may follow the `Copyright` word, i.e `(c)`, `©` or `&copy;`.
+ *
+ * @type {RegExp}
+ */
+const COPYRIGHT_SYMBOL = /^(?:(?:\(c\)|©|&copy;|copyright\b)[ \t]*)+/i;
+
+/**
+ * The pattern of year lists, i.e `2019`, `2016-2024`, `2016, 2018` or `2016-present`.
+ *
+ * @type {RegExp}
+ */
+const YEARS = /^(\d{4}(?:\s*[-–,]\s*(?:\d{4}|present))*),?\s*/i;
+
+/**
+ * The pattern of year lists at the end of the statement, i.e `Copyright Mickael Jeanroy 2019`.
+ *
+ * @type {RegExp}
+ */
+const TRAILING_YEARS = /,?\s*(\d{4}(?:\s*[-–,]\s*(?:\d{4}|present))*)$/i;
+
+/**
+ * The pattern of the `All rights reserved` mention that usually ends copyright statements.
+ *
+ * @type {RegExp}
+ */
+const ALL_RIGHTS_RESERVED = /[.,]?\s*all rights reserved\.?$/i;
+
+/**
+ * The pattern of template placeholders, i.e `[yyyy]` or `<copyright holders>` in license templates.
+ *
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\[[^\]]*\]|<(?![^>]*[@:.])[^>]*>|\{[^}]*\}/;
+
+/**
+ * The pattern of words that follow the `Copyright` word in license texts, when it is not
+ * a copyright statement (i.e "copyright notice" or "COPYRIGHT HOLDERS BE LIABLE").
+ *
+ * @type {RegExp}
+ */
+const NOT_A_HOLDER = /^(?:notice|holders?|owners?|law|laws|and|or|statement|licen[cs]e|protection|disclaimer|the|of|is|in|to)\b/i;
+
+/**
+ * Parse given copyright statement.
+ *
+ * @param {string} prefix The statement prefix, i.e `Copyright`, `(c)` or `©`.
+ * @param {string} statement The copyright statement, without its prefix.
+ * @return {Object|null} The copyright, `null` if given statement is not a copyright statement.
+ */
+function parseCopyright(prefix, statement) {
+  let text = statement.replace(COPYRIGHT_SYMBOL, '').trim();
+  const withSymbol = /^copyright$/i.test(prefix) && text !== statement.trim();
+
+  let years = null;
+  const yearsMatch = YEARS.exec(text);
+  if (yearsMatch) {
+    [, years] = yearsMatch;
+    text = text.slice(yearsMatch[0].length);
+  }
+
+  text = text.replace(/^by\s+/i, '').replace(ALL_RIGHTS_RESERVED, '').trim();
+
+  if (!years) {
+    const trailingYearsMatch = TRAILING_YEARS.exec(text);
+    if (trailingYearsMatch) {
+      [, years] = trailingYearsMatch;
+      text = text.slice(0, trailingYearsMatch.index).trim();
+    }
+  }
+
+  const holder = text.replace(/[\s,;:]+$/, '');
+
+  if (!holder || PLACEHOLDER.test(holder) || PLACEHOLDER.test(years || '')) {
+    return null;
+  }
+
+  // Without year nor copyright symbol, lines starting with `(c)` are list items (i.e "(c) You must
+  // retain..." in Apache-2.0), and lines starting with `Copyright` may be part of the license
+  // text (i.e "copyright notice" or "COPYRIGHT HOLDERS BE LIABLE").
+  if (!years && !withSymbol) {
+    if (!/^copyright$/i.test(prefix) || !/^[A-Z0-9]/.test(holder) || NOT_A_HOLDER.test(holder)) {
+      return null;
+    }
+  }
+
+  return {
+    years: years ? years.replace(/\s*([-–])\s*/g, '$1').replace(/\s*,\s*/g, ', ') : null,
+    holder,
+  };
+}
+
+/**
+ * Find the copyright statements of given texts (i.e license and notice texts): each
+ * copyright is returned once, with its `years` (i.e `2016-2024`, `null` if there is none)
+ * and its `holder`.
+ *
+ * @param {Array<string|null>} texts The texts.
+ * @return {Array<Object>} The copyrights.
+ */
+export function parseCopyrights(texts) {
+  const copyrights = _.compact(texts).flatMap((text) => (
+    Array.from(text.matchAll(COPYRIGHT_STATEMENT)).map((match) => (
+      parseCopyright(match[1], match[2])
+    ))
+  ));
+
+  return _.uniqWith(_.compact(copyrights), _.isEqual);
+}
+
+/**
+ * Remove the copyright statements of given text (i.e a license text), so that texts that
+ * only differ by their copyright holders can be compared: lines that look like a copyright
+ * statement but are not (i.e "copyright notice and this permission notice...") are kept.
+ *
+ * @param {string} text The text.
+ * @return {string} The text, without its copyright statements.
+ */
+export function stripCopyrights(text) {
+  return text.replace(COPYRIGHT_STATEMENT, (line, prefix, statement) => (
+    parseCopyright(prefix, statement) ? '' : line
+  ));
+}
+
+/**
+ * Format given copyright as a copyright statement, i.e `Copyright (c) 2019 Jane Doe`.
+ *
+ * @param {Object} copyright The copyright.
+ * @return {string} The copyright statement.
+ */
+export function formatCopyright(copyright) {
+  return copyright.years ? `Copyright (c) ${copyright.years} ${copyright.holder}` : `Copyright (c) ${copyright.holder}`;
+}
@@ -25,6 +25,8 @@
 import _ from 'lodash';
 import { EOL } from './eol';
 import { Person } from './person';
+import { parseCopyrights, formatCopyright } from './copyright';
+import { repositoryUrl } from './repository-url';
 
 /**
  * Dependency structure.
@@ -49,8 +51,37 @@ export class Dependency {
     this.private = pkg.private || false;
     this.license = pkg.license || null;
     this.licenseText = pkg.licenseText || null;
+
+    // All the license files of the package, with file name and content (i.e `LICENSE-MIT` and
+    // `LICENSE-APACHE` for dual-licensed packages).
+    this.licenseFiles = pkg.licenseFiles || [];
+
     this.noticeText = pkg.noticeText || null;
 
+    // The copyright statements found in the license and notice texts, with `years` and `holder`.
+    this.copyrights = parseCopyrights([
+      this.licenseText,
+      ...this.licenseFiles.map((licenseFile) => licenseFile.content),
+      this.noticeText,
+    ]);
+
+    this.integrity = pkg._integrity || null;
+    this.path = pkg.path || null;
+
+    // The source file, relative to the working directory, of file-level components (i.e vendored
+    // files declaring their own license), `null` for packages.
+    this.file = pkg.file || null;
+
+    // The bundled modules of the dependency, relative to the working directory.
+    this.modules = [];
+
+    // The license as declared in `package.json`, when the license has been corrected.
+    this.originalLicense = null;
+
+    // The license identified from the license text, used when the license is missing or not
+    // declared as a SPDX expression (i.e `SEE LICENSE IN LICENSE.md`).
+    this.inferredLicense = pkg.inferredLicense || null;
+
     // Parse the author field to get an object.
     this.author = pkg.author ? new Person(pkg.author) : null;
 
@@ -68,17 +99,74 @@ export class Dependency {
     }
   }
 
+  /**
+   * Replace the dependency license with given corrected license, keeping the declared
+   * license as the `originalLicense`.
+   *
+   * @param {string} license The corrected license.
+   * @return {void}
+   */
+  correctLicense(license) {
+    this.originalLicense = this.license;
+    this.license = license;
+  }
+
+  /**
+   * Add given module to the bundled modules of the dependency.
+   *
+   * @param {string} module The module, relative to the working directory.
+   * @return {void}
+   */
+  addModule(module) {
+    if (!this.modules.includes(module)) {
+      this.modules.push(module);
+    }
+  }
+
+  /**
+   * Serialize dependency to the JSON report schema (see the `json` output format): this is the
+   * representation of the dependency used by `JSON.stringify`.
+   *
+   * @return {Object} The JSON representation of the dependency.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      version: this.version,
+      license: this.license,
+      inferredLicense: this.inferredLicense,
+      licenseText: this.licenseText,
+      licenseFiles: this.licenseFiles.map(({ name, content }) => ({ name, content })),
+      noticeText: this.noticeText,
+      copyrights: this.copyrights.map(({ years, holder }) => ({ years, holder })),
+      author: this.author ? this.author.toJSON() : null,
+      contributors: this.contributors.map((contributor) => contributor.toJSON()),
+      repository: repositoryUrl(this.repository),
+      homepage: this.homepage,
+      path: this.path,
+      file: this.file,
+      modules: [...this.modules],
+    };
+  }
+
   /**
    * Serialize dependency as a string.
    *
+   * @param {Object} options Serialization options.
+   * @param {boolean} options.licenseText Include the license texts, defaults to `true`.
    * @return {string} The dependency correctly formatted.
    */
-  text() {
+  text({ licenseText = true } = {}) {
     const lines = [];
 
     lines.push(`Name: ${this.name}`);
     lines.push(`Version: ${this.version}`);
     lines.push(`License: ${this.license}`);
+
+    if (this.inferredLicense && this.inferredLicense !== this.license) {
+      lines.push(`Inferred License: ${this.inferredLicense}`);
+    }
+
     lines.push(`Private: ${this.private}`);
 
     if (this.description) {
@@ -104,7 +192,22 @@ export class Dependency {
       );
     }
 
-    if (this.licenseText) {
+    if (this.copyrights.length > 0) {
+      lines.push('Copyrights:');
+      lines.push(
+        ...this.copyrights.map((copyright) => `  ${formatCopyright(copyright)}`),
+      );
+    }
+
+    if (licenseText && this.licenseFiles.length > 1) {
+      this.licenseFiles.forEach((licenseFile) => {
+        lines.push(`License Text (${licenseFile.name}):`);
+        lines.push('===');
+        lines.push('');
+        lines.push(licenseFile.content);
+        lines.push('');
+      });
+    } else if (licenseText && this.licenseText) {
       lines.push('License Text:');
       lines.push('===');
       lines.push('');
@@ -29,6 +29,15 @@ type FileEncoding = string;
 type FactoryFn<T> = () => T;
 type Factory<T> = T | FactoryFn<T>;
 
+/**
+ * JSON representation of a person.
+ */
+export interface PersonJSON {
+  readonly name: string;
+  readonly email: string | null;
+  readonly url: string | null;
+}
+
 /**
  * A person, as described in NPM documentation.
  *
@@ -55,6 +64,12 @@ export interface Person {
    * @returns formatted person info
    */
   text: () => string;
+
+  /**
+   * Turns the person into a plain object.
+   * @returns person info
+   */
+  toJSON: () => PersonJSON;
 }
 
 /**
@@ -119,6 +134,83 @@ interface DependencyRepository {
   readonly type: string;
 }
 
+/**
+ * License file of a dependency.
+ */
+interface LicenseFile {
+  /**
+   * File name, relative to the package directory.
+   */
+  readonly name: string;
+
+  /**
+   * File content.
+   */
+  readonly content: string;
+}
+
+/**
+ * Copyright statement found in the license or notice text of a dependency.
+ */
+interface Copyright {
+  /**
+   * Copyright years, i.e `2019` or `2016-2024`, `null` if the statement does not have any.
+   */
+  readonly years: string | null;
+
+  /**
+   * Copyright holder, i.e `Jane Doe`.
+   */
+  readonly holder: string;
+}
+
+/**
+ * JSON representation of a dependency, as written in `json` reports (schema version 1).
+ */
+export interface DependencyJSON {
+  readonly name: string | null;
+  readonly version: string | null;
+  readonly license: string | null;
+
+  /**
+   * License identified from the license text, `null` if it cannot be identified.
+   */
+  readonly inferredLicense: string | null;
+
+  readonly licenseText: string | null;
+
+  /**
+   * All license files of the dependency (i.e `LICENSE-MIT` and `LICENSE-APACHE`).
+   */
+  readonly licenseFiles: LicenseFile[];
+
+  readonly noticeText: string | null;
+
+  /**
+   * Copyright statements found in the license and notice texts.
+   */
+  readonly copyrights: Copyright[];
+
+  readonly author: PersonJSON | null;
+  readonly contributors: PersonJSON[];
+
+  /**
+   * Repository URL.
+   */
+  readonly repository: string | null;
+
+  readonly homepage: string | null;
+  readonly path: string | null;
+
+  /**
+   * Path of the file, relative to the working directory, for file-level components
+   * (i.e vendored files with a license header), `null` otherwise.
+   */
+  readonly file: string | null;
+
+  readonly modules: string[];
+}
+
 /**
  * Dependency information is derived from the package.json file
  */
@@ -168,11 +260,52 @@ export interface Dependency {
    */
   readonly licenseText: string | null;
 
+  /**
+   * All license files of the package (i.e `LICENSE-MIT` and `LICENSE-APACHE` for dual-licensed
+   * packages, `COPYING`, `COPYRIGHT` or `UNLICENSE` files).
+   */
+  readonly licenseFiles: LicenseFile[];
+
   /**
    * Full notice file text.
    */
   readonly noticeText: string | null;
 
+  /**
+   * Copyright statements found in the license and notice texts.
+   */
+  readonly copyrights: Copyright[];
+
+  /**
+   * Package integrity (SRI hash), as written by the package manager in `package.json`.
+   */
+  readonly integrity: string | null;
+
+  /**
+   * Resolved path of the package directory, `null` if the dependency has not been scanned from disk.
+   */
+  readonly path: string | null;
+
+  /**
+   * Source file (relative to the working directory) of file-level components, i.e files of the
+   * project declaring their own license in a license header (see the `licenseHeaders` option),
+   * `null` for packages.
+   */
+  readonly file: string | null;
+
+  /**
+   * License as declared in `package.json`, if it has been corrected to a valid SPDX expression
+   * (see the `correctLicenses` option), `null` otherwise.
+   */
+  readonly originalLicense: string | null;
+
+  /**
+   * License identified from the license text, by comparing it with the templates of well-known licenses,
+   * `null` if it cannot be identified. This license is checked when the license is missing, or declared
+   * as a reference to a license file (i.e `SEE LICENSE IN LICENSE.md`).
+   */
+  readonly inferredLicense: string | null;
+
   /**
    * Author information.
    */
@@ -183,11 +316,24 @@ export interface Dependency {
    */
   readonly contributors: Person[];
 
+  /**
+   * Bundled modules of the dependency, relative to the working directory.
+   */
+  readonly modules: string[];
+
   /**
    * Turns the dependency into a formatted string
+   * @param options.licenseText include the license texts, defaults to `true`
    * @returns formatted dependency license info
    */
-  text: () => string;
+  text: (options?: { licenseText?: boolean }) => string;
+
+  /**
+   * Turns the dependency into its JSON representation (see the `json` output format),
+   * used by `JSON.stringify`.
+   * @returns dependency info
+   */
+  toJSON: () => DependencyJSON;
 }
 
 /**
@@ -202,11 +348,69 @@ type ThirdPartyDependencyValidatorFn = (dependency: Dependency) => boolean;
 
 type ThirdPartyValidator = SpdxId | ThirdPartyDependencyValidatorFn;
 
+interface LicensePolicyException {
+  /**
+   * Name of the package.
+   */
+  name: string;
+
+  /**
+   * Semver range of the package versions, default to all versions.
+   */
+  version?: string;
+
+  /**
+   * Why the package is allowed.
+   */
+  justification?: string;
+
+  /**
+   * Date after which the exception has expired (i.e `2025-12-31`).
+   */
+  expires?: string | Date;
+}
+
+interface LicensePolicy {
+  /**
+   * Allowed licenses (SPDX identifiers or expressions).
+   */
+  allow?: SpdxId | SpdxId[];
+
+  /**
+   * Denied licenses (SPDX identifiers).
+   */
+  deny?: SpdxId | SpdxId[];
+
+  /**
+   * Packages allowed whatever their licenses.
+   */
+  exceptions?: LicensePolicyException[];
+
+  /**
+   * Allow custom licenses (i.e `SEE LICENSE IN LICENSE.md`) that cannot be identified.
+   * @default false
+   */
+  allowCustomLicenses?: boolean;
+}
+
 interface ThirdPartyAllowOptions {
   /**
-   * Testing if the license if valid
+   * Testing if the license if valid, optional if a `policy` is defined.
+   */
+  test?: ThirdPartyValidator;
+
+  /**
+   * License policy, or path to a JSON/YAML file containing the license policy (relative
+   * to the current working directory).
+   */
+  policy?: LicensePolicy | FilePath;
+
+  /**
+   * Check that each dependency license (classified as permissive, weak copyleft, strong copyleft,
+   * network copyleft or proprietary) is compatible with the license of the project being built.
+   * @default false
    */
-  test: ThirdPartyValidator;
+  compatibility?: boolean;
 
   /**
    * Fail if a dependency does not specify any licenses
@@ -219,6 +423,12 @@ interface ThirdPartyAllowOptions {
    * @default false
    */
   failOnViolation?: boolean;
+
+  /**
+   * Fail if a dependency declares a license that does not match the license identified from its license text
+   * @default false
+   */
+  failOnMismatch?: boolean;
 }
 
 /**
@@ -237,20 +447,97 @@ type ThirdPartyOutputTemplate = string;
  */
 type ThirdPartyOutputTemplateFn = (dependencies: Dependency[]) => string;
 
+/**
+ * Pre-defined output format:
+ * - `text`: the default text report.
+ * - `cyclonedx`: a CycloneDX 1.5 JSON bill of materials.
+ * - `spdx-json`: a SPDX 2.3 JSON document.
+ * - `spdx-tv`: a SPDX 2.3 tag-value document.
+ * - `notice`: an aggregated NOTICE file, with the NOTICE texts of all dependencies.
+ * - `json`: a JSON report, with the JSON representation of each dependency.
+ * - `html`: a self-contained HTML attribution page.
+ * - `markdown`: a Markdown notices document, with deduplicated license texts.
+ * - `csv`: a CSV report (RFC 4180).
+ * - `tsv`: a TSV report.
+ */
+type ThirdPartyOutputFormat = 'text' | 'cyclonedx' | 'spdx-json' | 'spdx-tv' | 'notice' | 'json' | 'html' | 'markdown' | 'csv' | 'tsv';
+
+/**
+ * Column of CSV and TSV reports: a dependency field, or the `chunks` column listing the
+ * chunks containing the dependency.
+ */
+type ThirdPartyOutputColumn = Exclude<keyof Dependency, 'text' | 'toJSON'> | 'chunks';
+
+/**
+ * Options of pre-defined output formats.
+ */
+interface ThirdPartyOutputFormatOptions {
+  /**
+   * Title of the HTML page (`html` format) or the Markdown document (`markdown` format).
+   * @default Open source licenses (html), Third-party notices (markdown)
+   */
+  title?: string;
+
+  /**
+   * Custom style sheet, added after the default style sheet of the HTML page (`html` format).
+   */
+  css?: string;
+
+  /**
+   * Custom HTML header, inserted as is at the top of the HTML page (`html` format).
+   */
+  header?: string;
+
+  /**
+   * Columns of the report (`csv` and `tsv` formats).
+   * @default ['name', 'version', 'license', 'description', 'repository', 'homepage']
+   */
+  columns?: ThirdPartyOutputColumn[];
+
+  /**
+   * Print each distinct license text once, after the dependencies, with the list of dependencies
+   * it applies to (`text` format): license texts that only differ by their copyright statements
+   * or their whitespaces are considered identical.
+   * @default false
+   */
+  deduplicateLicenseTexts?: boolean;
+}
+
 /**
  * Third Party output options object.
  */
 interface ThirdPartyOutputOptions {
   /**
-   * Name of file to write licenses to
+   * Name of file to write licenses to, the `[format]` placeholder being replaced
+   * by the format of the rollup output.
    */
-  file: FilePath;
+  file?: FilePath;
+
+  /**
+   * Name of the file emitted as a rollup asset, relative to the output directory.
+   * When defined, the report is emitted through the rollup output pipeline instead
+   * of being written to disk directly.
+   *
+   * The `[format]` placeholder is replaced by the format of the rollup output.
+   */
+  fileName?: string;
 
   /**
    * @default utf-8
    */
   encoding?: FileEncoding;
 
+  /**
+   * Pre-defined format of the report, ignored if a `template` is defined.
+   * @default text
+   */
+  format?: ThirdPartyOutputFormat;
+
+  /**
+   * Options of the pre-defined format.
+   */
+  formatOptions?: ThirdPartyOutputFormatOptions;
+
   /**
    * Template function that can be defined to customize report output.
    *
@@ -269,6 +556,23 @@ interface ThirdPartyOutputOptions {
    *   `
    */
   template?: ThirdPartyOutputTemplate | ThirdPartyOutputTemplateFn;
+
+  /**
+   * Generate one report per chunk, containing only the dependencies rendered in this chunk.
+   * The `[name]` and `[fileName]` placeholders, in `file` or `fileName`, are replaced by
+   * the chunk name and the chunk file name: one of them is required (prefer `[fileName]`,
+   * since several chunks may have the same name).
+   *
+   * @default false
+   */
+  perChunk?: boolean;
+
+  /**
+   * Name of the JSON file mapping each chunk file name to its dependencies, only used
+   * with `perChunk`. The file is emitted as a rollup asset if `fileName` is used, written
+   * to disk otherwise.
+   */
+  index?: string;
 }
 
 type ThirdPartyOutput = FilePath | ThirdPartyOutputGeneratorFn | ThirdPartyOutputOptions;
@@ -315,15 +619,51 @@ interface ThirdPartyOptions {
    * Default is `false` far backward compatibility.
    */
   multipleVersions?: boolean;
+
+  /**
+   * Correct dependency licenses that are not valid SPDX expressions (i.e `Apache 2.0` is
+   * corrected to `Apache-2.0`), the declared license being kept as `originalLicense`.
+   * Use `{ warn: true }` to emit a warning for each corrected license.
+   * @default false
+   */
+  correctLicenses?: boolean | { warn?: boolean };
+
+  /**
+   * Inspect module sources for license headers (i.e `// SPDX-License-Identifier: BSD-3-Clause`,
+   * or `@license` comments): files that do not belong to a third-party package (i.e files
+   * vendored in the project) are reported and checked as file-level components.
+   * @default false
+   */
+  licenseHeaders?: boolean;
 }
 
 export type ThirdParty = ThirdPartyOutputGeneratorFn | ThirdPartyOptions;
 
+/**
+ * Legal comments extraction options.
+ */
+interface ExtractCommentsOptions {
+  /**
+   * Append legal comments to the banner.
+   * @default false
+   */
+  banner?: boolean;
+
+  /**
+   * Write legal comments to a file emitted next to each chunk: the file name may be given
+   * as a pattern, supporting `[name]`, `[fileName]` and `[format]` placeholders. It cannot be disabled
+   * unless legal comments are appended to the banner.
+   * @default '[fileName].LICENSE.txt'
+   */
+  file?: boolean | string;
+}
+
 export interface Options {
   sourcemap?: boolean | string;
 
   /**
-   * Debug mode
+   * Debug mode: debug messages are printed to the console instead of being reported
+   * through rollup.
    * @default false
    */
   debug?: boolean;
@@ -345,6 +685,13 @@ export interface Options {
    * automatically
    */
   thirdParty?: ThirdParty;
+
+  /**
+   * Extract legal comments (i.e `/*! ... *\/` or `@license` comments) from bundled modules, and relocate
+   * them, grouped by dependency, to a file emitted next to each chunk and/or to the banner.
+   * @default false
+   */
+  extractComments?: boolean | ExtractCommentsOptions;
 }
 
 declare function rollupPluginLicense(options: Options): Plugin;
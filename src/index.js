@@ -23,6 +23,7 @@
  */
 
 import { licensePlugin } from './license-plugin';
+import { renderedModules } from './rendered-modules';
 
 /**
  * Create rollup plugin compatible with rollup >= 1.0.0
@@ -40,6 +41,68 @@ export default function rollupPluginLicense(options = {}) {
      */
     name: plugin.name,
 
+    /**
+     * Function called by rollup when a new build is started: scanned dependencies
+     * are cleared, so that each build (i.e in watch mode) produces its own report.
+     *
+     * @return {void}
+     */
+    buildStart() {
+      plugin.setContext(this);
+      plugin.reset();
+
+      // Watch files read during previous scans, so that the cache can be invalidated.
+      plugin.watchFiles().forEach((file) => {
+        this.addWatchFile(file);
+      });
+    },
+
+    /**
+     * Function called by rollup when the build has finished, before the output is generated.
+     *
+     * @return {void}
+     */
+    buildEnd() {
+      plugin.setContext(this);
+      plugin.endBuild();
+    },
+
+    /**
+     * Function called by rollup in watch mode when a watched file has been updated: it is used
+     * to invalidate cached package information.
+     *
+     * @param {string} id The updated file.
+     * @return {void}
+     */
+    watchChange(id) {
+      plugin.invalidate(id);
+    },
+
+    /**
+     * Function called by rollup to transform a module: it is used to extract legal
+     * comments from module sources.
+     *
+     * @param {string} code Module source.
+     * @param {string} id Module identifier.
+     * @return {Object|null} The transformed module, `null` if the module is not transformed.
+     */
+    transform(code, id) {
+      plugin.setContext(this);
+      return plugin.extractComments(code, id);
+    },
+
+    /**
+     * Function called by rollup once a module has been parsed: it is used to find license
+     * headers in module sources.
+     *
+     * @param {Object} moduleInfo The parsed module.
+     * @return {void}
+     */
+    moduleParsed(moduleInfo) {
+      plugin.setContext(this);
+      plugin.scanLicenseHeader(moduleInfo.id, moduleInfo.code);
+    },
+
     /**
      * Function called by rollup when the final bundle is generated: it is used
      * to prepend the banner file on the generated bundle.
@@ -50,33 +113,37 @@ export default function rollupPluginLicense(options = {}) {
      * @return {void}
      */
     renderChunk(code, chunk, outputOptions = {}) {
-      const dependencies = [];
+      plugin.setContext(this);
 
-      if (chunk.modules) {
-        Object.keys(chunk.modules).forEach((id) => {
-          const mod = chunk.modules[id];
-          if (mod && !mod.isAsset && mod.renderedLength > 0) {
-            dependencies.push(id);
-          }
-        });
-      }
+      const modules = renderedModules(chunk);
+      const chunkDependencies = plugin.scanDependencies(modules, outputOptions);
 
-      plugin.scanDependencies(
-        dependencies,
-      );
-
-      return plugin.prependBanner(code, outputOptions.sourcemap !== false);
+      return plugin.prependBanner(code, outputOptions.sourcemap !== false, {
+        chunk: {
+          fileName: chunk.fileName,
+          name: chunk.name,
+          isEntry: chunk.isEntry,
+          facadeModuleId: chunk.facadeModuleId,
+          format: outputOptions.format,
+        },
+        chunkDependencies,
+        legalComments: plugin.legalComments(modules),
+      });
     },
 
     /**
      * Function called by rollup when the final bundle will be written on disk: it
-     * is used to generate a file containing a summary of all third-party dependencies
-     * with license information.
+     * is used to emit legal comments extracted from chunks, and to generate a file containing
+     * a summary of all third-party dependencies with license information.
      *
+     * @param {Object} outputOptions The options for the generated output.
+     * @param {Object} bundle The generated bundle.
      * @return {void}
      */
-    generateBundle() {
-      plugin.scanThirdParties();
+    generateBundle(outputOptions, bundle) {
+      plugin.setContext(this);
+      plugin.emitLegalComments(outputOptions, bundle);
+      plugin.scanThirdParties(this, outputOptions, bundle);
     },
   };
 }
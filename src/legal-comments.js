@@ -0,0 +1,116 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { commentText } from './comment-text';
+import { findComments } from './source-comments';
+
+/**
+ * The pattern of line ends: trailing whitespaces, followed by a line break or the end of the source code.
+ *
+ * @type {RegExp}
+ */
+const LINE_END = /[ \t]*(?:\r?\n|$)/y;
+
+/**
+ * Get the start of the line containing given index, if this line contains only whitespaces
+ * before the index.
+ *
+ * @param {string} code The source code.
+ * @param {number} index The index.
+ * @return {number} The start of the line, `-1` if the line contains something else before the index.
+ */
+function ownLineStart(code, index) {
+  let i = index;
+  while (i > 0 && (code[i - 1] === ' ' || code[i - 1] === '\t')) {
+    i -= 1;
+  }
+
+  return i === 0 || code[i - 1] === '\n' ? i : -1;
+}
+
+/**
+ * Get the end of the line containing given index (including the line break), if this line contains
+ * only whitespaces after the index.
+ *
+ * @param {string} code The source code.
+ * @param {number} index The index.
+ * @return {number} The end of the line, `-1` if the line contains something else after the index.
+ */
+function ownLineEnd(code, index) {
+  LINE_END.lastIndex = index;
+  const match = LINE_END.exec(code);
+  return match ? index + match[0].length : -1;
+}
+
+/**
+ * Check if given comment is a legal comment, i.e a comment that must be preserved in the bundle:
+ * - A comment starting with `/*!` or `//!`.
+ * - A comment containing a `@license` or `@preserve` tag.
+ *
+ * @param {string} comment The comment.
+ * @return {boolean} `true` if the comment is a legal comment, `false` otherwise.
+ */
+function isLegalComment(comment) {
+  return /^(?:\/\*!|\/\/!)/.test(comment) || /@(?:license|preserve)\b/.test(comment);
+}
+
+/**
+ * Find the legal comments of given source code: comments standing on their own lines include the
+ * leading indentation and the trailing line break (so that they can be removed without leaving blank
+ * lines), and consecutive legal line comments are grouped.
+ *
+ * Source code that cannot be parsed (i.e not plain JavaScript) is left as is: no legal comments are
+ * returned, since removing a wrong range would corrupt the code.
+ *
+ * @param {string|null} code The source code.
+ * @return {Array<Object>} The legal comments, with `start` and `end` offsets in the source code, and the comment `text`.
+ */
+export function findLegalComments(code) {
+  const comments = code ? findComments(code) : null;
+  if (!comments) {
+    return [];
+  }
+
+  const ranges = [];
+
+  comments.filter(({ start, end }) => isLegalComment(code.slice(start, end))).forEach((comment) => {
+    const lineStart = ownLineStart(code, comment.start);
+    const lineEnd = ownLineEnd(code, comment.end);
+    const ownLine = lineStart >= 0 && lineEnd >= 0;
+    const range = {
+      start: ownLine ? lineStart : comment.start,
+      end: ownLine ? lineEnd : comment.end,
+      group: ownLine && !comment.block,
+    };
+
+    const previous = ranges[ranges.length - 1];
+    if (range.group && previous && previous.group && previous.end === range.start) {
+      previous.end = range.end;
+    } else {
+      ranges.push(range);
+    }
+  });
+
+  return ranges.map(({ start, end }) => ({ start, end, text: commentText(code.slice(start, end)) }));
+}
@@ -0,0 +1,182 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import _ from 'lodash';
+import { licenseAlternatives } from './license-expression';
+
+/**
+ * License categories, from the least to the most restrictive one.
+ *
+ * @type {Array<string>}
+ */
+const CATEGORIES = [
+  'permissive',
+  'weak-copyleft',
+  'strong-copyleft',
+  'network-copyleft',
+  'proprietary',
+];
+
+/**
+ * Human readable label of each license category.
+ *
+ * @type {Object<string, string>}
+ */
+const CATEGORY_LABELS = {
+  'permissive': 'permissive',
+  'weak-copyleft': 'weak copyleft',
+  'strong-copyleft': 'strong copyleft',
+  'network-copyleft': 'network copyleft',
+  'proprietary': 'proprietary',
+  'unknown': 'unknown',
+};
+
+/**
+ * Known licenses of each category: versions suffixes (i.e `-only`, `-or-later` and `+`)
+ * are removed before looking up a license.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+const LICENSES = {
+  'permissive': [
+    '0BSD', 'AFL-2.1', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause',
+    'BSD-2-Clause', 'BSD-3-Clause', 'BSD-3-Clause-Clear', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC0-1.0', 'ISC',
+    'MIT', 'MIT-0', 'NCSA', 'PostgreSQL', 'PSF-2.0', 'Python-2.0', 'Unicode-DFS-2016', 'Unlicense', 'UPL-1.0',
+    'W3C', 'WTFPL', 'X11', 'Zlib',
+  ],
+
+  'weak-copyleft': [
+    'CDDL-1.0', 'CDDL-1.1', 'CPL-1.0', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0', 'LGPL-2.1', 'LGPL-3.0', 'MPL-1.1',
+    'MPL-2.0', 'MPL-2.0-no-copyleft-exception', 'MS-RL',
+  ],
+
+  'strong-copyleft': [
+    'CC-BY-SA-3.0', 'CC-BY-SA-4.0', 'EUPL-1.1', 'EUPL-1.2', 'GPL-1.0', 'GPL-2.0', 'GPL-3.0', 'OSL-3.0',
+  ],
+
+  'network-copyleft': [
+    'AGPL-1.0', 'AGPL-3.0', 'SSPL-1.0',
+  ],
+
+  'proprietary': [
+    'BUSL-1.1', 'CC-BY-NC-3.0', 'CC-BY-NC-4.0', 'CC-BY-NC-ND-4.0', 'CC-BY-NC-SA-4.0', 'UNLICENSED',
+  ],
+};
+
+/**
+ * The categories of dependencies that may be bundled in a project, by category of the project license.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+const COMPATIBLE_CATEGORIES = {
+  'proprietary': ['permissive', 'proprietary'],
+  'permissive': ['permissive', 'weak-copyleft'],
+  'weak-copyleft': ['permissive', 'weak-copyleft'],
+  'strong-copyleft': ['permissive', 'weak-copyleft', 'strong-copyleft'],
+  'network-copyleft': ['permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft'],
+};
+
+/**
+ * Classify given single license identifier (i.e not an expression).
+ *
+ * @param {string} license The license identifier, may include a license exception.
+ * @return {string} The license category.
+ */
+function classifyLicenseId(license) {
+  const [id, exception] = license.split(/\s+WITH\s+/i);
+
+  if (/^LicenseRef-/i.test(id) || /^SEE LICENSE IN /i.test(id)) {
+    return 'proprietary';
+  }
+
+  const baseId = id.replace(/(\+|-only|-or-later)$/i, '').toLowerCase();
+  const category = _.findKey(LICENSES, (licenses) => licenses.some((l) => l.toLowerCase() === baseId)) || 'unknown';
+
+  // Linking exceptions (i.e `Classpath-exception-2.0`) allow a library to be linked with code
+  // licensed under other terms.
+  return exception && category === 'strong-copyleft' ? 'weak-copyleft' : category;
+}
+
+/**
+ * Get the most restrictive category of given categories.
+ *
+ * @param {Array<string>} categories The categories.
+ * @return {string} The most restrictive category.
+ */
+function mostRestrictive(categories) {
+  return _.maxBy(categories, (category) => CATEGORIES.indexOf(category));
+}
+
+/**
+ * Classify given license expression: the category of an expression is the category of its
+ * least restrictive alternative, the category of an alternative being the category of its
+ * most restrictive license.
+ *
+ * A license without any known category is classified as `unknown`.
+ *
+ * @param {string} license The license expression.
+ * @return {string} The license category.
+ */
+export function classifyLicense(license) {
+  const categories = licenseAlternatives(license).map((licenses) => {
+    const alternativeCategories = licenses.map((l) => classifyLicenseId(l));
+    return alternativeCategories.includes('unknown') ? 'unknown' : mostRestrictive(alternativeCategories);
+  });
+
+  const knownCategories = categories.filter((category) => category !== 'unknown');
+  return _.minBy(knownCategories, (category) => CATEGORIES.indexOf(category)) || 'unknown';
+}
+
+/**
+ * Check if given dependency license may be bundled in a project distributed under given license.
+ *
+ * A project without any license (or with an unknown license) is considered as proprietary, and dependencies
+ * with unknown licenses are not checked.
+ *
+ * @param {string} license The dependency license expression.
+ * @param {string|null} projectLicense The project license expression.
+ * @return {Object} The result, with the `compatible` flag, the dependency and project license categories,
+ *                  and the `explanation` of the result.
+ */
+export function checkLicenseCompatibility(license, projectLicense) {
+  const distribution = projectLicense || 'UNLICENSED';
+  const category = classifyLicense(license);
+  const projectCategory = classifyLicense(distribution);
+  const distributionCategory = projectCategory === 'unknown' ? 'proprietary' : projectCategory;
+  const compatible = category === 'unknown' || COMPATIBLE_CATEGORIES[distributionCategory].includes(category);
+
+  const explanation = category === 'unknown' ? (
+    `${license} cannot be classified, it is not checked against ${distribution} distribution`
+  ) : (
+    `${license} (${CATEGORY_LABELS[category]}) is ${compatible ? 'compatible' : 'incompatible'} ` +
+    `with ${distribution} distribution (${CATEGORY_LABELS[distributionCategory]})`
+  );
+
+  return {
+    compatible,
+    category,
+    projectCategory: distributionCategory,
+    explanation,
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import spdxExpressionParse from 'spdx-expression-parse';
+
+/**
+ * Get the license identifier of given parsed SPDX license node, including the
+ * `+` operator and the license exception, i.e `GPL-2.0-only WITH Classpath-exception-2.0`.
+ *
+ * @param {Object} node The parsed license node.
+ * @return {string} The license identifier.
+ */
+function licenseId(node) {
+  const id = node.plus ? `${node.license}+` : node.license;
+  return node.exception ? `${id} WITH ${node.exception}` : id;
+}
+
+/**
+ * Expand given parsed SPDX expression to the list of alternatives.
+ *
+ * @param {Object} node The parsed expression.
+ * @return {Array<Array<string>>} The alternatives.
+ */
+function expand(node) {
+  if (node.license) {
+    return [[licenseId(node)]];
+  }
+
+  const left = expand(node.left);
+  const right = expand(node.right);
+  if (node.conjunction === 'or') {
+    return [...left, ...right];
+  }
+
+  return left.flatMap((l) => right.map((r) => [...l, ...r]));
+}
+
+/**
+ * Get the alternatives of given license expression: each alternative is the list of
+ * licenses that must all be complied with, i.e `(MIT OR (Apache-2.0 AND BSD-3-Clause))`
+ * gives `[['MIT'], ['Apache-2.0', 'BSD-3-Clause']]`.
+ *
+ * A license that is not a valid SPDX expression is returned as a single alternative.
+ *
+ * @param {string} license The license expression.
+ * @return {Array<Array<string>>} The alternatives.
+ */
+export function licenseAlternatives(license) {
+  const trimmedLicense = license.trim();
+
+  try {
+    return expand(spdxExpressionParse(trimmedLicense));
+  } catch (e) {
+    return [[trimmedLicense]];
+  }
+}
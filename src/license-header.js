@@ -0,0 +1,106 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import spdxExpressionValidate from 'spdx-expression-validate';
+import { commentText } from './comment-text';
+import { findLeadingComments } from './source-comments';
+
+/**
+ * The pattern of the separator between two consecutive line comments: a single line break.
+ *
+ * @type {RegExp}
+ */
+const LINE_COMMENTS_SEPARATOR = /^[ \t]*\r?\n[ \t]*$/;
+
+/**
+ * The pattern of SPDX license identifier tags, i.e `SPDX-License-Identifier: MIT`.
+ *
+ * @see https://spdx.dev/learn/handling-license-info/
+ *
+ * @type {RegExp}
+ */
+const SPDX_LICENSE_IDENTIFIER = /SPDX-License-Identifier:[ \t]*([^\r\n]*)/i;
+
+/**
+ * The pattern of `@license` tags, i.e `@license MIT`.
+ *
+ * @type {RegExp}
+ */
+const LICENSE_TAG = /@license\b[ \t]*([^\r\n]*)/i;
+
+/**
+ * Find the header comments of given source code, i.e the comments before the first token: consecutive
+ * line comments are grouped.
+ *
+ * @param {string} code The source code.
+ * @return {Array<string>} The header comments.
+ */
+function headerComments(code) {
+  const ranges = [];
+
+  findLeadingComments(code).forEach((comment) => {
+    const previous = ranges[ranges.length - 1];
+    if (!comment.block && previous && !previous.block && LINE_COMMENTS_SEPARATOR.test(code.slice(previous.end, comment.start))) {
+      previous.end = comment.end;
+    } else {
+      ranges.push({ ...comment });
+    }
+  });
+
+  return ranges.map(({ start, end }) => code.slice(start, end));
+}
+
+/**
+ * Find the license declared in the header comments of given source file, i.e the comments
+ * before the first token:
+ * - A SPDX license identifier tag, i.e `// SPDX-License-Identifier: BSD-3-Clause`.
+ * - A `@license` tag, i.e `/** @license MIT *\/`.
+ *
+ * The license is `null` if the `@license` tag does not contain a valid SPDX expression (i.e the license
+ * is described in the comment, such as `@license Lodash <https://lodash.com/>`): in this case, the license
+ * may be identified from the comment text.
+ *
+ * @param {string|null} code The source code.
+ * @return {Object|null} The license header, with `license` and comment `text`, `null` if there is none.
+ */
+export function parseLicenseHeader(code) {
+  if (!code) {
+    return null;
+  }
+
+  const comments = headerComments(code);
+  for (let i = 0; i < comments.length; ++i) {
+    const text = commentText(comments[i]);
+    const match = SPDX_LICENSE_IDENTIFIER.exec(text) || LICENSE_TAG.exec(text);
+    if (match) {
+      const license = match[1].trim();
+      return {
+        license: license && spdxExpressionValidate(license) ? license : null,
+        text,
+      };
+    }
+  }
+
+  return null;
+}
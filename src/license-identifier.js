@@ -0,0 +1,150 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { LICENSE_TEMPLATES } from './license-templates';
+
+/**
+ * The minimum similarity score for a license text to match a license template.
+ *
+ * @type {number}
+ */
+const MIN_SCORE = 0.9;
+
+/**
+ * Normalize given license text into a list of words, so that texts can be compared
+ * whatever their formatting:
+ * - Copyright lines and URLs are removed.
+ * - List markers (i.e `1.`, `*`, `-`) are removed.
+ * - Punctuation is removed and the text is lowercased.
+ *
+ * @param {string} text The license text.
+ * @return {Array<string>} The normalized words.
+ */
+function normalizeText(text) {
+  return text
+    .replace(/^.*\bcopyright\s+(?:\(c\)|©|\d{4}).*$/gim, ' ')
+    .replace(/https?:\/\/\S+/gi, ' ')
+    .replace(/^\s*(?:\d+\.|[-*•]|\([a-z0-9]\))\s+/gim, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter((word) => word !== '');
+}
+
+/**
+ * Compute the set of word bigrams (i.e two consecutive words) of given text.
+ *
+ * @param {string} text The text.
+ * @return {Set<string>} The set of bigrams.
+ */
+function bigrams(text) {
+  const words = normalizeText(text);
+  const result = new Set();
+  for (let i = 0; i < words.length - 1; ++i) {
+    result.add(`${words[i]} ${words[i + 1]}`);
+  }
+
+  return result;
+}
+
+/**
+ * The bigrams of all license templates, computed once.
+ *
+ * @type {Array<Object>}
+ */
+const TEMPLATES = LICENSE_TEMPLATES.map(({ id, text }) => ({
+  id,
+  bigrams: bigrams(text),
+}));
+
+/**
+ * Count the template bigrams found in the license text.
+ *
+ * @param {Set<string>} templateBigrams The template bigrams.
+ * @param {Set<string>} textBigrams The text bigrams.
+ * @return {number} The number of template bigrams found in the text.
+ */
+function countMatches(templateBigrams, textBigrams) {
+  let matches = 0;
+  templateBigrams.forEach((bigram) => {
+    if (textBigrams.has(bigram)) {
+      matches++;
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find the license template that best matches given license text.
+ *
+ * The similarity score of a template is the ratio of template bigrams found in the text, so that
+ * a license text with extra content (i.e copyright lines, or a whole license text when the template
+ * is an excerpt) still matches. Since a template may be part of another one (i.e a `BSD-3-Clause`
+ * license text contains the whole `BSD-2-Clause` license text), the most specific template wins among
+ * the templates with a score of at least 90%: the one with the largest number of bigrams found in the text.
+ *
+ * @param {string|null} text The license text.
+ * @return {Object|null} The best match, with the SPDX identifier (`license`) and the similarity `score`,
+ *   `null` if the text does not match any license template.
+ */
+export function matchLicense(text) {
+  if (!text) {
+    return null;
+  }
+
+  const textBigrams = bigrams(text);
+
+  let bestMatch = null;
+  TEMPLATES.forEach((template) => {
+    const matches = countMatches(template.bigrams, textBigrams);
+    const score = template.bigrams.size > 0 ? matches / template.bigrams.size : 0;
+    if (score < MIN_SCORE) {
+      return;
+    }
+
+    const isBetter = !bestMatch || matches > bestMatch.matches || (matches === bestMatch.matches && score > bestMatch.score);
+    if (isBetter) {
+      bestMatch = {
+        license: template.id,
+        score,
+        matches,
+      };
+    }
+  });
+
+  return bestMatch ? { license: bestMatch.license, score: bestMatch.score } : null;
+}
+
+/**
+ * Try to identify the SPDX identifier of given license text.
+ *
+ * @param {string|null} text The license text.
+ * @return {string|null} The SPDX identifier, `null` if the license cannot be identified.
+ */
+export function identifyLicense(text) {
+  const match = matchLicense(text);
+  return match ? match.license : null;
+}
@@ -28,6 +28,30 @@ import { validators } from './schema-validators';
 import { validateSchema } from './schema-validator';
 import { formatPath } from './format-path';
 
+/**
+ * The schema of a third-party output object.
+ * @type {Object}
+ */
+const OUTPUT_SCHEMA = {
+  file: validators.string(),
+  fileName: validators.string(),
+  encoding: validators.string(),
+  format: validators.string(),
+  formatOptions: validators.object({
+    title: validators.string(),
+    css: validators.string(),
+    header: validators.string(),
+    columns: validators.array([validators.string()]),
+    deduplicateLicenseTexts: validators.boolean(),
+  }),
+  perChunk: validators.boolean(),
+  index: validators.string(),
+  template: [
+    validators.string(),
+    validators.func(),
+  ],
+};
+
 /**
  * The option object schema.
  * @type {Object}
@@ -64,6 +88,14 @@ const SCHEMA = {
       includePrivate: validators.boolean(),
       includeSelf: validators.boolean(),
       multipleVersions: validators.boolean(),
+      licenseHeaders: validators.boolean(),
+
+      correctLicenses: [
+        validators.boolean(),
+        validators.object({
+          warn: validators.boolean(),
+        }),
+      ],
 
       allow: [
         validators.string(),
@@ -74,38 +106,63 @@ const SCHEMA = {
             validators.func(),
           ],
 
+          policy: [
+            validators.string(),
+            validators.object({
+              allow: [
+                validators.string(),
+                validators.array([validators.string()]),
+              ],
+
+              deny: [
+                validators.string(),
+                validators.array([validators.string()]),
+              ],
+
+              allowCustomLicenses: validators.boolean(),
+
+              exceptions: validators.array([
+                validators.object({
+                  name: validators.string(),
+                  version: validators.string(),
+                  justification: validators.string(),
+                  expires: validators.any(),
+                }),
+              ]),
+            }),
+          ],
+
+          compatibility: validators.boolean(),
           failOnUnlicensed: validators.boolean(),
           failOnViolation: validators.boolean(),
+          failOnMismatch: validators.boolean(),
         }),
       ],
 
       output: [
         validators.func(),
         validators.string(),
-        validators.object({
-          file: validators.string(),
-          encoding: validators.string(),
-          template: [
-            validators.string(),
-            validators.func(),
-          ],
-        }),
+        validators.object(OUTPUT_SCHEMA),
 
         validators.array([
           validators.func(),
           validators.string(),
-          validators.object({
-            file: validators.string(),
-            encoding: validators.string(),
-            template: [
-              validators.string(),
-              validators.func(),
-            ],
-          }),
+          validators.object(OUTPUT_SCHEMA),
         ]),
       ],
     }),
   ],
+
+  extractComments: [
+    validators.boolean(),
+    validators.object({
+      banner: validators.boolean(),
+      file: [
+        validators.boolean(),
+        validators.string(),
+      ],
+    }),
+  ],
 };
 
 /**
@@ -136,10 +193,6 @@ function doValidation(options) {
  */
 function validateOptions(options) {
   const errors = doValidation(options);
-  if (errors.length === 0) {
-    return;
-  }
-
   const messages = [];
 
   errors.forEach((e) => {
@@ -150,6 +203,12 @@ function validateOptions(options) {
     }
   });
 
+  // Legal comments are removed from module sources, so they must be written somewhere.
+  const { extractComments } = options || {};
+  if (_.isPlainObject(extractComments) && extractComments.file === false && !extractComments.banner) {
+    messages.push('"extractComments" must enable "file" or "banner", otherwise legal comments would be dropped');
+  }
+
   if (messages.length > 0) {
     throw new Error(
       `[${PLUGIN_NAME}] -- Error during validation of option object: ${messages.join(' ; ')}`,
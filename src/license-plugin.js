@@ -28,12 +28,22 @@ import _ from 'lodash';
 import moment from 'moment';
 import MagicString from 'magic-string';
 import packageNameRegex from 'package-name-regex';
+import semver from 'semver';
 
 import { Dependency } from './dependency';
 import { generateBlockComment } from './generate-block-comment';
 import { licensePluginOptions } from './license-plugin-option';
 import { licenseValidator } from './license-validator';
-import { readFile } from './read-file';
+import { checkLicensePolicy, loadLicensePolicy, normalizeLicensePolicy } from './license-policy';
+import { checkLicenseCompatibility } from './license-compatibility';
+import { findFile, readFiles } from './read-file';
+import { matchLicense } from './license-identifier';
+import { parseLicenseHeader } from './license-header';
+import { findLegalComments } from './legal-comments';
+import { formatFileName } from './format-file-name';
+import { renderedModules } from './rendered-modules';
+import { packageName } from './package-name';
+import { OUTPUT_FORMATS } from './output-formats';
 import { PLUGIN_NAME } from './license-plugin-name';
 import { EOL } from './eol';
 
@@ -69,6 +79,22 @@ const COMMENT_STYLES = {
   none: null,
 };
 
+/**
+ * Pattern matching files read while scanning a dependency directory: when one of these
+ * files is updated, the associated directory must be scanned again.
+ *
+ * @type {RegExp}
+ */
+const SCANNED_FILE_PATTERN = /^(package\.json|licen[cs]e.*|unlicense.*|copying.*|copyright.*|notice.*)$/i;
+
+/**
+ * Names of license files: packages may ship several license files (i.e dual-licensed packages
+ * with `LICENSE-MIT` and `LICENSE-APACHE` files).
+ *
+ * @type {Array<string>}
+ */
+const LICENSE_FILES = ['license', 'licence', 'unlicense', 'copying', 'copyright'];
+
 /**
  * Compute the comment style to use for given text:
  * - If text starts with a block comment, nothing is done (i.e use `none`).
@@ -84,6 +110,55 @@ function computeDefaultCommentStyle(text) {
   return startWithComment ? 'none' : 'regular';
 }
 
+/**
+ * Normalize given log to a rollup log object, with at least a `message` entry.
+ *
+ * @param {string|Object} log The log message, or log object.
+ * @return {Object} The rollup log.
+ */
+function toRollupLog(log) {
+  return _.isString(log) ? { message: log } : log;
+}
+
+/**
+ * Get the name of the file containing the legal comments of given chunk.
+ *
+ * @param {Object} options The `extractComments` option.
+ * @param {Object} chunk The chunk description (file name, name, format, etc.).
+ * @return {string} The file name, relative to the output directory.
+ */
+function legalCommentsFileName(options, chunk) {
+  return _.isString(options.file) ? formatFileName(options.file, chunk) : `${chunk.fileName}.LICENSE.txt`;
+}
+
+/**
+ * Compare given violations by dependency name, then by dependency version: versions are compared
+ * using semver when both are valid, dependencies without version come first.
+ *
+ * @param {Object} v1 The first violation.
+ * @param {Object} v2 The second violation.
+ * @return {number} A negative number if `v1` comes first, a positive number if `v2` comes first, zero otherwise.
+ */
+function compareViolations(v1, v2) {
+  const d1 = v1.meta.dependency;
+  const d2 = v2.meta.dependency;
+  if (d1.name !== d2.name) {
+    return d1.name < d2.name ? -1 : 1;
+  }
+
+  if (semver.valid(d1.version) && semver.valid(d2.version)) {
+    return semver.compare(d1.version, d2.version);
+  }
+
+  const version1 = d1.version || '';
+  const version2 = d2.version || '';
+  if (version1 === version2) {
+    return 0;
+  }
+
+  return version1 < version2 ? -1 : 1;
+}
+
 /**
  * Rollup Plugin.
  * @class
@@ -102,6 +177,11 @@ class LicensePlugin {
     this._options = options;
     this._cwd = this._options.cwd || process.cwd();
     this._dependencies = new Map();
+
+    // Dependencies scanned for each output being generated, indexed by output options, so
+    // that a build with several outputs generates one report per output.
+    this._outputDependencies = new Map();
+
     this._debug = this._options.debug || false;
 
     // eslint-disable-next-line import/no-dynamic-require, global-require
@@ -114,6 +194,112 @@ class LicensePlugin {
     // This is an improvement to avoid looking for package information for
     // already scanned directory.
     this._cache = new Map();
+
+    // The set of `package.json`, license and notice files read while scanning dependencies, these
+    // files must be watched in watch mode to invalidate the cache when they are updated.
+    this._watchFiles = new Set([
+      path.join(this._cwd, 'package.json'),
+    ]);
+
+    // Whether the current build has finished: rollup < 4 does not allow to watch files once the
+    // build has finished, so files read while generating the output are watched from the next build.
+    this._buildFinished = false;
+
+    // The license headers found in source files, indexed by module id: files of the project
+    // declaring their own license (i.e vendored files) are reported as file-level components.
+    this._fileLicenses = new Map();
+
+    // The legal comments extracted from module sources, indexed by module id: this is not
+    // cleared when a new build starts, since rollup may not transform cached modules again.
+    this._legalComments = new Map();
+
+    // The license headers of module sources from which legal comments have been extracted, indexed
+    // by module id: the license header may be one of the extracted comments.
+    this._extractedLicenseHeaders = new Map();
+
+    // The rollup plugin context, used to report warnings and errors through rollup.
+    this._context = null;
+  }
+
+  /**
+   * Set the rollup plugin context of the hook being run: warnings, errors and debug
+   * messages are then reported through rollup (so that `onLog`/`onwarn` handlers and
+   * the rollup log level apply) instead of the console.
+   *
+   * @param {Object} context The rollup plugin context.
+   * @return {void}
+   */
+  setContext(context) {
+    this._context = context || null;
+  }
+
+  /**
+   * Reset scanned dependencies: this should be called each time a new build is
+   * started (i.e in watch mode), so that dependencies removed from the bundle
+   * are not reported anymore.
+   *
+   * Note that the directory cache is not cleared here, use the `invalidate` method to
+   * invalidate directories whose files have been updated.
+   *
+   * @return {void}
+   */
+  reset() {
+    this.debug('reset scanned dependencies');
+    this._dependencies.clear();
+    this._outputDependencies.clear();
+    this._fileLicenses.clear();
+    this._buildFinished = false;
+  }
+
+  /**
+   * Mark the current build as finished: files read from now on (i.e while chunks are rendered)
+   * are recorded, and watched when the next build starts.
+   *
+   * @return {void}
+   */
+  endBuild() {
+    this._buildFinished = true;
+  }
+
+  /**
+   * Invalidate the cache of scanned directories when given file has been updated, if
+   * it is one of the files read while scanning a directory (i.e `package.json`, license or
+   * notice files).
+   *
+   * @param {string} id The updated file.
+   * @return {void}
+   */
+  invalidate(id) {
+    const { base, dir } = path.parse(id);
+    if (!SCANNED_FILE_PATTERN.test(base)) {
+      return;
+    }
+
+    const updatedDir = path.resolve(dir);
+    this.debug(`invalidating scanned directory: ${updatedDir}`);
+
+    // Sub-directories may have been resolved to a package in the updated directory, or
+    // may resolve to a package in the updated directory now, so they must be invalidated too.
+    this._cache.forEach((pkg, scannedDir) => {
+      if (scannedDir === updatedDir || scannedDir.startsWith(`${updatedDir}${path.sep}`)) {
+        this._cache.delete(scannedDir);
+      }
+    });
+
+    if (updatedDir === path.resolve(this._cwd) && base === 'package.json') {
+      this.debug('reloading package.json of current working directory');
+      this._pkg = JSON.parse(fs.readFileSync(id, 'utf-8'));
+    }
+  }
+
+  /**
+   * Get the list of files read while scanning dependencies, that should be watched
+   * in watch mode.
+   *
+   * @return {Array<string>} The list of files.
+   */
+  watchFiles() {
+    return [...this._watchFiles];
   }
 
   /**
@@ -136,7 +322,7 @@ class LicensePlugin {
    * to extract license informations.
    *
    * @param {string} id Module identifier.
-   * @return {void}
+   * @return {Dependency|null} The dependency associated with given module, `null` if there is none.
    */
   scanDependency(id) {
     if (id.startsWith('\0')) {
@@ -147,7 +333,7 @@ class LicensePlugin {
 
     if (id.indexOf('virtual:') === 0) {
       this.debug(`skipping virtual module: ${id}`);
-      return;
+      return null;
     }
 
     this.debug(`scanning ${id}`);
@@ -155,6 +341,7 @@ class LicensePlugin {
     // Look for the `package.json` file
     let dir = path.resolve(path.parse(id).dir);
     let pkg = null;
+    let dependency = null;
 
     const includeSelf = !!this._options.thirdParty?.includeSelf;
     const scannedDirs = new Set();
@@ -173,7 +360,7 @@ class LicensePlugin {
         pkg = this._cache.get(dir);
         if (pkg) {
           this.debug(`found package.json in cache (package: ${pkg.name})`);
-          this.addDependency(pkg, isSelf);
+          dependency = this.addDependency(pkg, isSelf);
         }
 
         break;
@@ -186,6 +373,7 @@ class LicensePlugin {
       const exists = fs.existsSync(pkgPath);
       if (exists) {
         this.debug(`found package.json at: ${pkgPath}, read it`);
+        this._watchFile(pkgPath);
 
         // Read `package.json` file
         const pkgJson = JSON.parse(
@@ -201,19 +389,43 @@ class LicensePlugin {
         if ((isValidPackageName && version) || hasLicense) {
           // We found it!
           pkg = pkgJson;
+          pkg.path = dir;
 
-          const licenseText = readFile(dir, ['license', 'licence']);
+          const licenseFiles = this._readFiles(dir, LICENSE_FILES);
+          const licenseText = this._readFile(dir, ['license', 'licence']);
           if (licenseText) {
             pkg.licenseText = licenseText;
+          } else if (licenseFiles.length > 0) {
+            pkg.licenseText = licenseFiles[0].content;
+          }
+
+          // The license may be a reference to a license file, i.e `SEE LICENSE IN LICENSE.md`.
+          const licenseFile = licenseValidator.customLicenseFile(pkg.license);
+          const customLicenseText = licenseFile ? this._readCustomLicense(dir, licenseFile) : null;
+          if (customLicenseText) {
+            pkg.licenseText = customLicenseText;
+
+            const customLicenseName = path.relative(dir, path.resolve(dir, licenseFile)).split(path.sep).join('/');
+            if (!licenseFiles.some(({ name: fileName }) => fileName === customLicenseName)) {
+              licenseFiles.push({ name: customLicenseName, content: customLicenseText });
+            }
+          }
+
+          pkg.licenseFiles = licenseFiles;
+
+          // Identify the license from the license text, used when the declared license is missing.
+          const inferredLicense = this._inferLicense(pkg.name, pkg.licenseText);
+          if (inferredLicense) {
+            pkg.inferredLicense = inferredLicense;
           }
 
-          const noticeText = readFile(dir, 'notice');
+          const noticeText = this._readFile(dir, 'notice');
           if (noticeText) {
             pkg.noticeText = noticeText;
           }
 
           // Add the new dependency to the set of third-party dependencies.
-          this.addDependency(pkg, isSelf);
+          dependency = this.addDependency(pkg, isSelf);
 
           // We can stop now.
           break;
@@ -239,215 +451,709 @@ class LicensePlugin {
     scannedDirs.forEach((scannedDir) => {
       this._cache.set(scannedDir, pkg);
     });
+
+    // Files of the project may declare their own license (i.e vendored files).
+    const fileDependency = !dependency || dependency.self ? this._scanFileLicense(id) : null;
+    return fileDependency || dependency;
   }
 
   /**
-   * Hook triggered by `rollup` to load code from given path file.
+   * Hook triggered by `rollup` once a module has been parsed: when the `licenseHeaders` option
+   * is enabled, the module source is inspected for a license header (i.e a SPDX license
+   * identifier tag, or a `@license` comment).
    *
-   * @param {Object} dependencies List of modules included in the final bundle.
+   * @param {string} id Module identifier.
+   * @param {string|null} code Module source.
    * @return {void}
    */
-  scanDependencies(dependencies) {
-    this.debug(`Scanning: ${dependencies}`);
+  scanLicenseHeader(id, code) {
+    if (!this._scanLicenseHeaders()) {
+      return;
+    }
 
-    dependencies.forEach((dependency) => {
-      this.scanDependency(dependency);
-    });
+    const header = parseLicenseHeader(code) || this._extractedLicenseHeaders.get(id);
+    if (header) {
+      this.debug(`found license header in ${id} (license: ${header.license})`);
+      this._fileLicenses.set(id, header);
+    }
   }
 
   /**
-   * Hook triggered by `rollup` to transform the final generated bundle.
-   * This hook is used here to prepend the license banner to the final bundle.
+   * Check if the `licenseHeaders` option is enabled.
    *
-   * @param {string} code The bundle content.
-   * @param {boolean} sourcemap If sourcemap must be generated.
-   * @return {Object} The result containing the code and, optionnally, the source map
-   *                  if it has been enabled (using `enableSourceMap` method).
+   * @return {boolean} `true` if license headers must be scanned, `false` otherwise.
+   * @private
    */
-  prependBanner(code, sourcemap) {
-    // Create a magicString: do not manipulate the string directly since it
-    // will be used to generate the sourcemap.
-    const magicString = new MagicString(code);
+  _scanLicenseHeaders() {
+    const { thirdParty } = this._options;
+    return _.isPlainObject(thirdParty) && !!thirdParty.licenseHeaders;
+  }
 
-    const { banner } = this._options;
-    const content = this._readBanner(banner);
-    if (content) {
-      magicString.prepend(EOL);
-      magicString.prepend(this._generateBanner(content, banner));
+  /**
+   * Add the file-level component of given module, if a license header has been found in
+   * the module source.
+   *
+   * @param {string} id Module identifier.
+   * @return {Dependency|null} The file-level component, `null` if the module does not have any license header.
+   * @private
+   */
+  _scanFileLicense(id) {
+    const header = this._fileLicenses.get(id);
+    if (!header) {
+      return null;
     }
 
-    const result = {
-      code: magicString.toString(),
-    };
-
-    if (this._sourcemap !== false && sourcemap !== false) {
-      result.map = magicString.generateMap({
-        hires: true,
-      });
-    }
+    // File-level components are identified by their path, relative to the working directory.
+    const file = this._relativePath(id);
+    return this.addDependency({
+      name: file,
+      file,
+      path: id,
+      license: header.license,
+      licenseText: header.text,
+      inferredLicense: this._inferLicense(file, header.text),
+    }, false);
+  }
 
-    return result;
+  /**
+   * Get the path of given module, relative to the working directory (using `/` as separator,
+   * whatever the platform), ignoring the query of module identifiers added by plugins
+   * (i.e `lodash.js?commonjs-module` proxies).
+   *
+   * @param {string} id Module identifier.
+   * @return {string} The relative path.
+   * @private
+   */
+  _relativePath(id) {
+    const file = (id.startsWith('\0') ? id.slice(1) : id).replace(/\?.*$/, '');
+    return path.relative(this._cwd, file).split(path.sep).join('/');
   }
 
   /**
-   * Add new dependency to the bundle descriptor.
+   * Identify the license of given license text.
    *
-   * @param {Object} pkg Dependency package information.
-   * @param {boolean} self If the package is the "self" package.
-   * @return {void}
+   * @param {string} name The package (or file) name.
+   * @param {string|null} licenseText The license text.
+   * @return {string|null} The identified license, `null` if it cannot be identified.
+   * @private
    */
-  addDependency(pkg, self) {
-    const name = pkg.name || '';
-    if (!name) {
-      this.warn('Trying to add dependency without any name, skipping it.');
-      return;
+  _inferLicense(name, licenseText) {
+    const licenseMatch = matchLicense(licenseText);
+    if (!licenseMatch) {
+      return null;
     }
 
-    const version = pkg.version || '';
-    const key = this._options.thirdParty?.multipleVersions ? `${name}@${version}` : name;
-    if (!this._dependencies.has(key)) {
-      this._dependencies.set(key, new Dependency(pkg, self));
-    }
+    this.debug(`identified license ${licenseMatch.license} from license text of ${name} (score: ${licenseMatch.score.toFixed(2)})`);
+    return licenseMatch.license;
   }
 
   /**
-   * Scan third-party dependencies, and:
-   * - Warn for license violations.
-   * - Generate summary.
+   * Hook triggered by `rollup` to load code from given path file.
    *
-   * @return {void}
+   * When output options are given, scanned dependencies are also tracked for this
+   * output only, so that each output generates its own report.
+   *
+   * @param {Object} dependencies List of modules included in the final bundle.
+   * @param {Object} outputOptions The options of the output being generated (optional).
+   * @return {Array<Dependency>} The dependencies associated with given modules.
    */
-  scanThirdParties() {
-    const { thirdParty } = this._options;
-    if (!thirdParty) {
-      return;
-    }
+  scanDependencies(dependencies, outputOptions) {
+    this.debug(`Scanning: ${dependencies}`);
 
-    const includePrivate = thirdParty.includePrivate || false;
-    const includeSelf = thirdParty.includeSelf || false;
-    const outputDependencies = [...this._dependencies.values()].filter((dependency) => {
-      if (dependency.self && includeSelf) {
-        return true;
-      }
+    const scannedDependencies = new Map();
 
-      if (!dependency.private) {
-        return true;
+    dependencies.forEach((id) => {
+      const dependency = this.scanDependency(id);
+      if (dependency) {
+        dependency.addModule(this._relativePath(id));
+        scannedDependencies.set(this._dependencyKey(dependency.name, dependency.version), dependency);
       }
-
-      return includePrivate;
     });
 
-    if (_.isFunction(thirdParty)) {
-      thirdParty(outputDependencies);
-      return;
+    if (outputOptions) {
+      if (!this._outputDependencies.has(outputOptions)) {
+        this._outputDependencies.set(outputOptions, new Map());
+      }
+
+      const outputDependencies = this._outputDependencies.get(outputOptions);
+      scannedDependencies.forEach((dependency, key) => {
+        outputDependencies.set(key, dependency);
+      });
     }
 
-    const { allow, output } = thirdParty;
+    return [...scannedDependencies.values()];
+  }
 
-    if (allow) {
-      this._scanLicenseViolations(outputDependencies, allow);
-    }
+  /**
+   * Read the license file referenced by a custom license declaration (i.e `SEE LICENSE IN LICENSE.md`).
+   *
+   * @param {string} dir The package directory.
+   * @param {string} licenseFile The license file, relative to the package directory.
+   * @return {string|null} The license file content, `null` if it cannot be read.
+   * @private
+   */
+  _readCustomLicense(dir, licenseFile) {
+    const file = path.resolve(dir, licenseFile);
 
-    if (output) {
-      this._exportThirdParties(outputDependencies, output);
+    // Do not read files outside of the package directory.
+    if (path.relative(dir, file).startsWith('..') || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      this.debug(`cannot read license file: ${file}`);
+      return null;
     }
+
+    this.debug(`read license file: ${file}`);
+    this._watchFile(file);
+    return fs.readFileSync(file, 'utf-8');
   }
 
   /**
-   * Log debug message if debug mode is enabled.
+   * Read the first file matching given names in given package directory: the file is watched
+   * in watch mode, so that the cache is invalidated when it is updated.
    *
-   * @param {string} msg Log message.
-   * @return {void}
+   * @param {string} dir The package directory.
+   * @param {string|Array<string>} names Potential file names.
+   * @return {string|null} The file content, `null` if the file does not exist.
+   * @private
    */
-  debug(msg) {
-    if (this._debug) {
-      console.debug(`[${this.name}] -- ${msg}`);
+  _readFile(dir, names) {
+    const file = findFile(dir, names);
+    if (!file) {
+      return null;
     }
+
+    this._watchFile(file);
+    return fs.readFileSync(file, 'utf-8');
   }
 
   /**
-   * Log warn message.
+   * Read all files matching given names in given package directory: the files are watched
+   * in watch mode, so that the cache is invalidated when they are updated.
    *
-   * @param {string} msg Log message.
-   * @return {void}
+   * @param {string} dir The package directory.
+   * @param {Array<string>} names Potential file names.
+   * @return {Array<Object>} The files, with file `name` (relative to given directory) and `content`.
+   * @private
    */
-  warn(msg) {
-    console.warn(`[${this.name}] -- ${msg}`);
+  _readFiles(dir, names) {
+    const files = readFiles(dir, names);
+    files.forEach((file) => {
+      this._watchFile(path.join(dir, file.name));
+    });
+
+    return files;
   }
 
   /**
-   * Read banner from given options and returns it.
+   * Watch given file: files read while scanning dependencies are watched at each build start, and as soon as they
+   * are read during the build (rollup < 4 fails when a file is watched once the build has finished).
    *
-   * @param {Object|string} banner Banner as a raw string, or banner options.
-   * @return {string|null} The banner template.
+   * @param {string} file The file.
+   * @return {void}
    * @private
    */
-  _readBanner(banner) {
-    if (banner == null) {
-      return null;
+  _watchFile(file) {
+    if (this._watchFiles.has(file)) {
+      return;
     }
 
-    // Banner can be defined as a simple inline string.
-    if (_.isString(banner)) {
-      this.debug('prepend banner from raw string');
-      return banner;
-    }
+    this._watchFiles.add(file);
 
-    // Extract banner content.
-    const content = _.result(banner, 'content');
+    if (!this._buildFinished && this._hasContext('addWatchFile')) {
+      this._context.addWatchFile(file);
+    }
+  }
 
-    // Content can be an inline string.
-    if (_.isString(content)) {
-      this.debug('prepend banner from content raw string');
-      return content;
+  /**
+   * Hook triggered by `rollup` to transform module sources: when the `extractComments` option is
+   * enabled, legal comments (i.e `/*! ... *\/` or `@license` comments) are removed from the module
+   * source, to be relocated once the chunk is rendered.
+   *
+   * @param {string} code The module source.
+   * @param {string} id Module identifier.
+   * @return {Object|null} The transformed code (and its source map), `null` if the module is not transformed.
+   */
+  extractComments(code, id) {
+    if (!this._extractCommentsOptions()) {
+      return null;
     }
 
-    // Otherwise, file must be defined (if not, that's an error).
-    if (!_.has(content, 'file')) {
-      throw new Error(`[${this.name}] -- Cannot find banner content, please specify an inline content, or a path to a file`);
+    const comments = findLegalComments(code);
+    if (comments.length === 0) {
+      this._legalComments.delete(id);
+      this._extractedLicenseHeaders.delete(id);
+      return null;
     }
 
-    const { file } = content;
-    const encoding = content.encoding || 'utf-8';
+    this.debug(`extracting ${comments.length} legal comment(s) from ${id}`);
+    this._legalComments.set(id, comments.map((comment) => comment.text));
 
-    this.debug(`prepend banner from file: ${file}`);
-    this.debug(`use encoding: ${encoding}`);
+    // The license header must be found before it is removed from the module source.
+    const header = this._scanLicenseHeaders() ? parseLicenseHeader(code) : null;
+    if (header) {
+      this._extractedLicenseHeaders.set(id, header);
+    } else {
+      this._extractedLicenseHeaders.delete(id);
+    }
 
-    const filePath = path.resolve(file);
-    const exists = fs.existsSync(filePath);
+    const magicString = new MagicString(code);
+    comments.forEach(({ start, end }) => {
+      magicString.remove(start, end);
+    });
 
-    // Fail fast if file does not exist.
-    if (!exists) {
-      throw new Error(`[${this.name}] -- Template file ${filePath} does not exist, or cannot be read`);
+    const result = {
+      code: magicString.toString(),
+    };
+
+    if (this._sourcemap !== false) {
+      result.map = magicString.generateMap({
+        hires: true,
+      });
     }
 
-    return fs.readFileSync(filePath, encoding);
+    return result;
   }
 
   /**
-   * Generate banner output from given raw string and given options.
+   * Get the legal comments extracted from given modules, grouped by dependency: each group starts
+   * with the dependency name, version and license, and identical comments are kept once.
    *
-   * Banner output will be a JavaScript comment block, comment style may be customized using
-   * the `commentStyle` option.
-   *
-   * @param {string} content Banner content, as a raw string.
-   * @param {Object} banner Banner options.
-   * @return {string} The banner output.
-   * @private
+   * @param {Array<string>} ids The module identifiers.
+   * @return {string|null} The legal comments, `null` if there is none.
    */
-  _generateBanner(content, banner) {
-    // Create the template function with lodash.
+  legalComments(ids) {
+    const groups = new Map();
+
+    ids.forEach((id) => {
+      const comments = this._legalComments.get(id);
+      if (!comments) {
+        return;
+      }
+
+      const dependency = this.scanDependency(id);
+      if (!groups.has(dependency)) {
+        groups.set(dependency, new Set());
+      }
+
+      comments.forEach((comment) => {
+        groups.get(dependency).add(comment);
+      });
+    });
+
+    if (groups.size === 0) {
+      return null;
+    }
+
+    const sections = [...groups.entries()].map(([dependency, comments]) => {
+      const lines = [...comments].join(`${EOL}${EOL}`);
+      if (!dependency) {
+        return lines;
+      }
+
+      const version = dependency.version ? `@${dependency.version}` : '';
+      return `${dependency.name}${version} -- ${dependency.license || 'no license'}${EOL}${EOL}${lines}`;
+    });
+
+    return sections.join(`${EOL}${EOL}`);
+  }
+
+  /**
+   * Hook triggered by `rollup` to transform the final generated bundle.
+   * This hook is used here to prepend the license banner to the final bundle.
+   *
+   * @param {string} code The bundle content.
+   * @param {boolean} sourcemap If sourcemap must be generated.
+   * @param {Object} chunkData The chunk being rendered (optional).
+   * @param {Object} chunkData.chunk The chunk description (file name, name, format, etc.).
+   * @param {Array<Dependency>} chunkData.chunkDependencies The dependencies rendered in the chunk.
+   * @param {string|null} chunkData.legalComments The legal comments extracted from the chunk modules.
+   * @return {Object} The result containing the code and, optionnally, the source map
+   *                  if it has been enabled (using `enableSourceMap` method).
+   */
+  prependBanner(code, sourcemap, chunkData = {}) {
+    // Create a magicString: do not manipulate the string directly since it
+    // will be used to generate the sourcemap.
+    const magicString = new MagicString(code);
+
+    // Legal comments are prepended first, so that they are added after the banner.
+    const legalComments = this._relocateLegalComments(chunkData);
+    if (legalComments) {
+      magicString.prepend(EOL);
+      magicString.prepend(legalComments);
+    }
+
+    const { banner } = this._options;
+    const content = this._readBanner(banner);
+    if (content) {
+      magicString.prepend(EOL);
+      magicString.prepend(this._generateBanner(content, banner, chunkData));
+    }
+
+    const result = {
+      code: magicString.toString(),
+    };
+
+    if (this._sourcemap !== false && sourcemap !== false) {
+      result.map = magicString.generateMap({
+        hires: true,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the normalized `extractComments` option: legal comments are written to a `.LICENSE.txt`
+   * file by default.
+   *
+   * @return {Object|null} The option, `null` if legal comments must not be extracted.
+   * @private
+   */
+  _extractCommentsOptions() {
+    const { extractComments } = this._options;
+    if (!extractComments) {
+      return null;
+    }
+
+    return extractComments === true ? { file: true } : { file: true, ...extractComments };
+  }
+
+  /**
+   * Relocate the legal comments extracted from a chunk: they are referenced in the chunk (the file
+   * itself being emitted once the bundle is generated, see `emitLegalComments`), and/or appended
+   * to the banner.
+   *
+   * @param {Object} chunkData The chunk being rendered.
+   * @return {string|null} The comment to prepend to the chunk, `null` if there is none.
+   * @private
+   */
+  _relocateLegalComments(chunkData) {
+    const options = this._extractCommentsOptions();
+    const { chunk, legalComments } = chunkData;
+    if (!options || !legalComments) {
+      return null;
+    }
+
+    const blocks = [];
+
+    if (options.file && chunk && !options.banner) {
+      // The chunk file name may contain hash placeholders: they are replaced by rollup in the chunk code.
+      const relativeFileName = path.posix.relative(path.posix.dirname(chunk.fileName), legalCommentsFileName(options, chunk));
+      blocks.push(`For license information please see ${relativeFileName}`);
+    }
+
+    if (options.banner) {
+      blocks.push(legalComments);
+    }
+
+    return blocks.length > 0 ? generateBlockComment(blocks.join(`${EOL}${EOL}`), COMMENT_STYLES.ignored) : null;
+  }
+
+  /**
+   * Hook triggered by `rollup` once the bundle is generated: the legal comments extracted from each
+   * chunk are emitted next to the chunk. This is done once the bundle is generated, since the final
+   * chunk file names (i.e with their hash) are not known while chunks are rendered.
+   *
+   * @param {Object} outputOptions The options of the output being generated.
+   * @param {Object} bundle The generated bundle.
+   * @return {void}
+   */
+  emitLegalComments(outputOptions, bundle) {
+    const options = this._extractCommentsOptions();
+    if (!options || !options.file) {
+      return;
+    }
+
+    Object.values(bundle).filter((chunk) => chunk.type === 'chunk').forEach((chunk) => {
+      const legalComments = this.legalComments(renderedModules(chunk));
+      if (legalComments) {
+        this._emitLegalComments(legalComments, legalCommentsFileName(options, {
+          fileName: chunk.fileName,
+          name: chunk.name,
+          isEntry: chunk.isEntry,
+          facadeModuleId: chunk.facadeModuleId,
+          format: outputOptions.format,
+        }));
+      }
+    });
+  }
+
+  /**
+   * Emit legal comments as a rollup asset.
+   *
+   * @param {string} content The legal comments.
+   * @param {string} fileName The asset file name, relative to the output directory.
+   * @return {void}
+   * @private
+   */
+  _emitLegalComments(content, fileName) {
+    if (!this._hasContext('emitFile')) {
+      throw new Error(`[${this.name}] -- Cannot emit ${fileName} outside of rollup bundle generation`);
+    }
+
+    this.debug(`emitting legal comments as asset: ${fileName}`);
+
+    this._context.emitFile({
+      type: 'asset',
+      fileName,
+      source: content,
+    });
+  }
+
+  /**
+   * Add new dependency to the bundle descriptor.
+   *
+   * @param {Object} pkg Dependency package information.
+   * @param {boolean} self If the package is the "self" package.
+   * @return {Dependency|null} The added dependency, `null` if it cannot be added.
+   */
+  addDependency(pkg, self) {
+    const name = pkg.name || '';
+    if (!name) {
+      this.warn({
+        code: 'MISSING_DEPENDENCY_NAME',
+        message: 'Trying to add dependency without any name, skipping it.',
+        meta: { pkg },
+      });
+      return null;
+    }
+
+    const key = this._dependencyKey(name, pkg.version);
+    if (!this._dependencies.has(key)) {
+      const dependency = new Dependency(pkg, self);
+      this._correctLicense(dependency);
+      this._dependencies.set(key, dependency);
+    }
+
+    return this._dependencies.get(key);
+  }
+
+  /**
+   * Correct dependency license if it is not a valid SPDX expression (if enabled with
+   * the `correctLicenses` option), and warn about it if enabled.
+   *
+   * @param {Dependency} dependency The dependency.
+   * @return {void}
+   * @private
+   */
+  _correctLicense(dependency) {
+    const { thirdParty } = this._options;
+    const correctLicenses = _.isPlainObject(thirdParty) ? thirdParty.correctLicenses : false;
+    if (!correctLicenses || !dependency.license) {
+      return;
+    }
+
+    const license = licenseValidator.correct(dependency.license);
+    if (!license) {
+      return;
+    }
+
+    this.debug(`correct license of dependency "${dependency.name}": ${dependency.license} -> ${license}`);
+    dependency.correctLicense(license);
+
+    if (correctLicenses.warn) {
+      this.warn({
+        code: 'CORRECTED_LICENSE',
+        message: (
+          `Dependency "${dependency.name}" has a license (${dependency.originalLicense}) which is not a valid SPDX expression, ` +
+          `corrected to ${license}.`
+        ),
+        meta: { dependency },
+      });
+    }
+  }
+
+  /**
+   * Compute the key identifying given dependency: when `multipleVersions` option
+   * is enabled, each version is tracked as a different dependency.
+   *
+   * @param {string} name The dependency name.
+   * @param {string|null} version The dependency version.
+   * @return {string} The dependency key.
+   * @private
+   */
+  _dependencyKey(name, version) {
+    return this._options.thirdParty?.multipleVersions ? `${name}@${version || ''}` : name;
+  }
+
+  /**
+   * Scan third-party dependencies, and:
+   * - Warn for license violations.
+   * - Generate summary.
+   *
+   * When output options are given, only dependencies scanned for this output are
+   * checked and exported.
+   *
+   * @param {Object} context The rollup plugin context, used to emit output assets.
+   * @param {Object} outputOptions The options of the output being generated (optional).
+   * @param {Object} bundle The rollup bundle being generated, used to export dependencies per chunk (optional).
+   * @return {void}
+   */
+  scanThirdParties(context, outputOptions, bundle) {
+    // Dependencies tracked for this output are not needed anymore.
+    const dependencies = this._outputDependencies.get(outputOptions) || this._dependencies;
+    this._outputDependencies.delete(outputOptions);
+
+    const { thirdParty } = this._options;
+    if (!thirdParty) {
+      return;
+    }
+
+    const outputDependencies = this._filterDependencies([...dependencies.values()]);
+
+    if (_.isFunction(thirdParty)) {
+      thirdParty(outputDependencies);
+      return;
+    }
+
+    const { allow, output } = thirdParty;
+
+    if (allow) {
+      this._scanLicenseViolations(outputDependencies, allow);
+    }
+
+    if (output) {
+      this._exportThirdParties(outputDependencies, output, {
+        context,
+        outputOptions,
+        bundle,
+      });
+    }
+  }
+
+  /**
+   * Log debug message: the message is always printed to the console if debug mode
+   * is enabled, otherwise it is reported through rollup (if available).
+   *
+   * @param {string} msg Log message.
+   * @return {void}
+   */
+  debug(msg) {
+    if (this._debug) {
+      console.debug(`[${this.name}] -- ${msg}`);
+    } else if (this._hasContext('debug')) {
+      this._context.debug(msg);
+    }
+  }
+
+  /**
+   * Log warn message, through rollup if available.
+   *
+   * @param {string|Object} log Log message, or log object with a `message` and a `code` entries.
+   * @return {void}
+   */
+  warn(log) {
+    const rollupLog = toRollupLog(log);
+    if (this._hasContext('warn')) {
+      this._context.warn(rollupLog);
+    } else {
+      console.warn(`[${this.name}] -- ${rollupLog.message}`);
+    }
+  }
+
+  /**
+   * Fail with given error, through rollup if available.
+   *
+   * @param {string|Object} log Error message, or log object with a `message` and a `code` entries.
+   * @return {void}
+   */
+  error(log) {
+    const rollupLog = toRollupLog(log);
+    if (this._hasContext('error')) {
+      this._context.error(rollupLog);
+    }
+
+    throw new Error(rollupLog.message);
+  }
+
+  /**
+   * Check if rollup plugin context is available, and implements given log function.
+   *
+   * @param {string} fn The log function name.
+   * @return {boolean} `true` if the log function is available, `false` otherwise.
+   * @private
+   */
+  _hasContext(fn) {
+    return this._context != null && _.isFunction(this._context[fn]);
+  }
+
+  /**
+   * Read banner from given options and returns it.
+   *
+   * @param {Object|string} banner Banner as a raw string, or banner options.
+   * @return {string|null} The banner template.
+   * @private
+   */
+  _readBanner(banner) {
+    if (banner == null) {
+      return null;
+    }
+
+    // Banner can be defined as a simple inline string.
+    if (_.isString(banner)) {
+      this.debug('prepend banner from raw string');
+      return banner;
+    }
+
+    // Extract banner content.
+    const content = _.result(banner, 'content');
+
+    // Content can be an inline string.
+    if (_.isString(content)) {
+      this.debug('prepend banner from content raw string');
+      return content;
+    }
+
+    // Otherwise, file must be defined (if not, that's an error).
+    if (!_.has(content, 'file')) {
+      throw new Error(`[${this.name}] -- Cannot find banner content, please specify an inline content, or a path to a file`);
+    }
+
+    const { file } = content;
+    const encoding = content.encoding || 'utf-8';
+
+    this.debug(`prepend banner from file: ${file}`);
+    this.debug(`use encoding: ${encoding}`);
+
+    const filePath = path.resolve(file);
+    const exists = fs.existsSync(filePath);
+
+    // Fail fast if file does not exist.
+    if (!exists) {
+      throw new Error(`[${this.name}] -- Template file ${filePath} does not exist, or cannot be read`);
+    }
+
+    return fs.readFileSync(filePath, encoding);
+  }
+
+  /**
+   * Generate banner output from given raw string and given options.
+   *
+   * Banner output will be a JavaScript comment block, comment style may be customized using
+   * the `commentStyle` option.
+   *
+   * @param {string} content Banner content, as a raw string.
+   * @param {Object} banner Banner options.
+   * @param {Object} chunkData The chunk being rendered.
+   * @return {string} The banner output.
+   * @private
+   */
+  _generateBanner(content, banner, chunkData) {
+    // Create the template function with lodash.
     const tmpl = _.template(content);
 
     // Generate the banner.
     const pkg = this._pkg;
     const dependencies = [...this._dependencies.values()];
     const data = banner.data ? _.result(banner, 'data') : {};
+    const chunk = chunkData.chunk || null;
+    const chunkDependencies = chunkData.chunkDependencies || dependencies;
     const text = tmpl({
       _,
       moment,
       pkg,
       dependencies,
+      chunk,
+      chunkDependencies,
       data,
     });
 
@@ -465,16 +1171,26 @@ class LicensePlugin {
   }
 
   /**
-   * Scan for dependency violations and print a warning if some violations are found.
+   * Scan for dependency violations and emit a warning for each violation found: if
+   * the build must fail, all violations are collected first so that the build fails once
+   * with the list of all violations to fix.
    *
    * @param {Array<Dependency>} outputDependencies The dependencies to scan.
    * @param {string} allow The allowed licenses as a SPDX pattern.
    * @return {void}
    */
   _scanLicenseViolations(outputDependencies, allow) {
+    const violations = [];
+    const policy = allow.policy ? this._readLicensePolicy(allow.policy) : null;
+
     outputDependencies.forEach((dependency) => {
-      this._scanLicenseViolation(dependency, allow);
+      const violation = this._scanLicenseViolation(dependency, allow, policy);
+      if (violation) {
+        violations.push(violation);
+      }
     });
+
+    this._failOnLicenseViolations(violations);
   }
 
   /**
@@ -482,79 +1198,334 @@ class LicensePlugin {
    *
    * @param {Dependency} dependency The dependency to scan.
    * @param {string|function|object} allow The allowed licenses as a SPDX pattern, or a validator function.
-   * @return {void}
+   * @param {Object|null} policy The license policy, if any.
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
    */
-  _scanLicenseViolation(dependency, allow) {
+  _scanLicenseViolation(dependency, allow, policy) {
     if (dependency.self) {
       // Do not validate license for the "self" package.
       // It's likely this package will use a private/proprietary license, and we only want to detect
       // violations for third party dependencies.
-      return;
+      return null;
+    }
+
+    const failOnUnlicensed = allow.failOnUnlicensed === true;
+    const failOnViolation = allow.failOnViolation === true;
+
+    const policyResult = policy ? checkLicensePolicy(policy, dependency) : null;
+    if (policyResult) {
+      const { allowed, rule, expiredExceptions } = policyResult;
+
+      expiredExceptions.forEach((exception) => {
+        this._warnExpiredLicenseException(dependency, exception);
+      });
+
+      this.debug(`dependency "${dependency.name}" ${allowed ? 'allowed' : 'rejected'} by license policy (${rule.description})`);
+
+      // Policy exceptions always allow the dependency, even if its license does not match its license text.
+      if (rule.type === 'exception') {
+        return null;
+      }
+    }
+
+    const mismatch = this._scanLicenseMismatch(dependency, allow.failOnMismatch === true);
+    if (mismatch) {
+      return mismatch;
+    }
+
+    if (policyResult) {
+      const { allowed, rule } = policyResult;
+
+      if (rule.type === 'unlicensed') {
+        return this._handleUnlicensedDependency(dependency, failOnUnlicensed);
+      }
+
+      if (!allowed) {
+        return this._handlePolicyViolation(dependency, rule, failOnViolation);
+      }
     }
 
     const testFn = _.isString(allow) || _.isFunction(allow) ? allow : allow.test;
-    const isValid = _.isFunction(testFn) ? testFn(dependency) : licenseValidator.isValid(dependency, testFn);
-    if (!isValid) {
-      const failOnUnlicensed = allow.failOnUnlicensed === true;
-      const failOnViolation = allow.failOnViolation === true;
-      this._handleInvalidLicense(dependency, failOnUnlicensed, failOnViolation);
+    if (testFn) {
+      const isValid = _.isFunction(testFn) ? testFn(dependency) : licenseValidator.isValid(dependency, testFn);
+      if (!isValid) {
+        return this._handleInvalidLicense(dependency, failOnUnlicensed, failOnViolation);
+      }
+    }
+
+    if (allow.compatibility) {
+      return this._scanLicenseCompatibility(dependency, failOnUnlicensed, failOnViolation);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the declared license of given dependency matches the license identified from
+   * its license text.
+   *
+   * @param {Dependency} dependency The dependency to scan.
+   * @param {boolean} failOnMismatch `true` to fail on license mismatch, `false` otherwise.
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
+   * @private
+   */
+  _scanLicenseMismatch(dependency, failOnMismatch) {
+    if (!licenseValidator.isMismatch(dependency)) {
+      return null;
+    }
+
+    const { name, license, inferredLicense } = dependency;
+    return this._handleViolation({
+      code: 'LICENSE_MISMATCH',
+      message: `Dependency "${name}" declares license ${license} but ships a ${inferredLicense} license text, please check its actual license.`,
+      meta: {
+        dependency,
+        license,
+        inferredLicense,
+      },
+    }, failOnMismatch);
+  }
+
+  /**
+   * Check that dependency license is compatible with the license of the project being built.
+   *
+   * @param {Dependency} dependency The dependency to scan.
+   * @param {boolean} failOnUnlicensed `true` to fail on unlicensed dependency, `false` otherwise.
+   * @param {boolean} failOnViolation `true` to fail on incompatible license, `false` otherwise.
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
+   * @private
+   */
+  _scanLicenseCompatibility(dependency, failOnUnlicensed, failOnViolation) {
+    if (licenseValidator.isUnlicensed(dependency)) {
+      return this._handleUnlicensedDependency(dependency, failOnUnlicensed);
+    }
+
+    const projectLicense = this._pkg ? this._pkg.license : null;
+    const result = checkLicenseCompatibility(licenseValidator.effectiveLicense(dependency), projectLicense);
+    this.debug(`dependency "${dependency.name}": ${result.explanation}`);
+
+    if (result.compatible) {
+      return null;
     }
+
+    return this._handleViolation({
+      code: 'INCOMPATIBLE_LICENSE',
+      message: `Dependency "${dependency.name}" has a license which is not compatible with the project license: ${result.explanation}.`,
+      meta: {
+        dependency,
+        category: result.category,
+        projectCategory: result.projectCategory,
+      },
+    }, failOnViolation);
+  }
+
+  /**
+   * Read license policy, defined inline or as a path to a JSON/YAML file.
+   *
+   * @param {Object|string} policy The license policy, or the path to the policy file.
+   * @return {Object} The normalized license policy.
+   * @private
+   */
+  _readLicensePolicy(policy) {
+    if (!_.isString(policy)) {
+      return normalizeLicensePolicy(policy);
+    }
+
+    const file = path.resolve(this._cwd, policy);
+    if (!fs.existsSync(file)) {
+      throw new Error(`[${this.name}] -- License policy file ${file} does not exist, or cannot be read`);
+    }
+
+    this.debug(`read license policy from file: ${file}`);
+
+    // Policy file must be watched, so that updating the policy triggers a new build.
+    this._watchFile(file);
+
+    return normalizeLicensePolicy(loadLicensePolicy(file));
+  }
+
+  /**
+   * Warn about expired license policy exception.
+   *
+   * @param {Dependency} dependency The dependency.
+   * @param {Object} exception The expired exception.
+   * @return {void}
+   * @private
+   */
+  _warnExpiredLicenseException(dependency, exception) {
+    const range = exception.version ? ` (${exception.version})` : '';
+    const expires = moment(exception.expires).format('YYYY-MM-DD');
+    const justification = exception.justification ? `: ${exception.justification}` : '';
+    this.warn({
+      code: 'EXPIRED_LICENSE_EXCEPTION',
+      message: `License policy exception for "${dependency.name}"${range} expired on ${expires}${justification}`,
+      meta: { dependency, exception },
+    });
   }
 
   /**
    * Handle invalid dependency:
-   * - Print a warning for unlicensed dependency.
-   * - Print a warning for dependency violation.
+   * - Report unlicensed dependency.
+   * - Report dependency violation.
    *
    * @param {Object} dependency The dependency to scan.
    * @param {boolean} failOnUnlicensed `true` to fail on unlicensed dependency, `false` otherwise.
    * @param {boolean} failOnViolation `true` to fail on license violation, `false` otherwise.
-   * @return {void}
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
    */
   _handleInvalidLicense(dependency, failOnUnlicensed, failOnViolation) {
     if (licenseValidator.isUnlicensed(dependency)) {
-      this._handleUnlicensedDependency(dependency, failOnUnlicensed);
-    } else {
-      this._handleLicenseViolation(dependency, failOnViolation);
+      return this._handleUnlicensedDependency(dependency, failOnUnlicensed);
     }
+
+    return this._handleLicenseViolation(dependency, failOnViolation);
   }
 
   /**
-   * Handle unlicensed dependency: print a warning to the console to alert for the dependency
-   * that should be fixed.
+   * Handle unlicensed dependency: emit a warning (with `UNLICENSED_DEPENDENCY` code, through rollup if available)
+   * to alert for the dependency that should be fixed, or return the violation if the build must fail.
    *
    * @param {Object} dependency The dependency.
    * @param {boolean} fail `true` to fail instead of emitting a simple warning.
-   * @return {void}
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
    */
   _handleUnlicensedDependency(dependency, fail) {
-    const message = `Dependency "${dependency.name}" does not specify any license.`;
-
-    if (!fail) {
-      this.warn(message);
-    } else {
-      throw new Error(message);
-    }
+    return this._handleViolation({
+      code: 'UNLICENSED_DEPENDENCY',
+      message: `Dependency "${dependency.name}" does not specify any license.`,
+      meta: { dependency },
+    }, fail);
   }
 
   /**
-   * Handle license violation: print a warning to the console to alert about the violation.
+   * Handle license violation: emit a warning (with `LICENSE_VIOLATION` code, through rollup if available)
+   * to alert about the violation, or return the violation if the build must fail.
    *
    * @param {Object} dependency The dependency.
    * @param {boolean} fail `true` to fail instead of emitting a simple warning.
-   * @return {void}
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
    */
   _handleLicenseViolation(dependency, fail) {
-    const message = (
-      `Dependency "${dependency.name}" has a license (${dependency.license}) which is not compatible with ` +
-      'requirement, looks like a license violation to fix.'
-    );
+    return this._handleViolation({
+      code: 'LICENSE_VIOLATION',
+      message: (
+        `Dependency "${dependency.name}" has a license (${dependency.license}) which is not compatible with ` +
+        'requirement, looks like a license violation to fix.'
+      ),
+      meta: { dependency },
+    }, fail);
+  }
 
-    if (!fail) {
-      this.warn(message);
-    } else {
-      throw new Error(message);
+  /**
+   * Handle license policy violation: emit a warning (with `LICENSE_VIOLATION` code, through rollup if
+   * available) to alert about the rule rejecting the dependency, or return the violation if the build must fail.
+   *
+   * @param {Object} dependency The dependency.
+   * @param {Object} rule The policy rule rejecting the dependency.
+   * @param {boolean} fail `true` to fail instead of emitting a simple warning.
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
+   */
+  _handlePolicyViolation(dependency, rule, fail) {
+    return this._handleViolation({
+      code: 'LICENSE_VIOLATION',
+      message: (
+        `Dependency "${dependency.name}" has a license (${dependency.license}) which is rejected by license ` +
+        `policy (${rule.description}), looks like a license violation to fix.`
+      ),
+      meta: { dependency, rule },
+    }, fail);
+  }
+
+  /**
+   * Handle violation: emit a warning, or return the violation so that the build fails once
+   * all dependencies have been scanned.
+   *
+   * @param {Object} violation The violation log.
+   * @param {boolean} fail `true` to fail instead of emitting a simple warning.
+   * @return {Object|null} The violation if the build must fail, `null` otherwise.
+   * @private
+   */
+  _handleViolation(violation, fail) {
+    if (fail) {
+      return violation;
     }
+
+    this.warn(violation);
+    return null;
+  }
+
+  /**
+   * Fail with all given violations, sorted by dependency name and version.
+   *
+   * @param {Array<Object>} violations The violations.
+   * @return {void}
+   * @private
+   */
+  _failOnLicenseViolations(violations) {
+    if (violations.length === 0) {
+      return;
+    }
+
+    const sortedViolations = [...violations].sort(compareViolations);
+
+    const codes = _.uniq(sortedViolations.map((violation) => violation.code));
+    const title = `Found ${violations.length} license violation${violations.length > 1 ? 's' : ''}:`;
+    const lines = sortedViolations.map(({ message, meta: { dependency } }) => {
+      const details = [
+        packageName(dependency),
+        dependency.license || 'no license',
+        dependency.path || 'unknown path',
+      ];
+
+      return `  - ${details.join(' -- ')}${EOL}    ${message}`;
+    });
+
+    this.error({
+      code: codes.length === 1 ? codes[0] : 'LICENSE_VIOLATION',
+      message: [title, ...lines].join(EOL),
+      meta: {
+        violations: sortedViolations,
+      },
+    });
+  }
+
+  /**
+   * Filter dependencies that should be included in third-party outputs: private dependencies
+   * and "self" are excluded, unless explicitly enabled.
+   *
+   * @param {Array<Dependency>} dependencies The dependencies.
+   * @return {Array<Dependency>} The filtered dependencies.
+   * @private
+   */
+  _filterDependencies(dependencies) {
+    const { thirdParty } = this._options;
+    const includePrivate = thirdParty.includePrivate || false;
+    const includeSelf = thirdParty.includeSelf || false;
+    return dependencies.filter((dependency) => {
+      if (dependency.self && includeSelf) {
+        return true;
+      }
+
+      if (!dependency.private) {
+        return true;
+      }
+
+      return includePrivate;
+    });
+  }
+
+  /**
+   * Scan dependencies of each chunk of given bundle.
+   *
+   * @param {Object} bundle The rollup bundle.
+   * @return {Array<Object>} Each chunk with its dependencies.
+   * @private
+   */
+  _scanChunks(bundle) {
+    return Object.values(bundle).filter((output) => output.type === 'chunk').map((chunk) => ({
+      chunk,
+      dependencies: this.scanDependencies(renderedModules(chunk)),
+    }));
   }
 
   /**
@@ -563,11 +1534,64 @@ class LicensePlugin {
    *
    * @param {Array<Object>} outputDependencies The dependencies to include in the output.
    * @param {Object|function|string|Array} outputs The output (or the array of output) destination.
+   * @param {Object} generation The rollup bundle generation (plugin context, output options and bundle).
    * @return {void}
    */
-  _exportThirdParties(outputDependencies, outputs) {
+  _exportThirdParties(outputDependencies, outputs, generation) {
     _.castArray(outputs).forEach((output) => {
-      this._exportThirdPartiesToOutput(outputDependencies, output);
+      this._exportThirdPartiesToOutput(outputDependencies, output, generation);
+    });
+  }
+
+  /**
+   * Format third party dependencies using one of the pre-defined output format.
+   *
+   * @param {Array<Object>} outputDependencies The dependencies to include in the output.
+   * @param {Object} output The output destination.
+   * @param {string} output.format The output format name, default to `text`.
+   * @param {Object} output.formatOptions The options of the output format.
+   * @param {Object} bundle The rollup bundle (or the chunk) being exported, if any.
+   * @return {string} The formatted output.
+   * @private
+   */
+  _formatThirdParties(outputDependencies, { format = 'text', formatOptions = {} }, bundle) {
+    // Ensure given format name is valid.
+    if (!_.has(OUTPUT_FORMATS, format)) {
+      throw new Error(`[${this.name}] -- Unknown output format ${format}, please use one of: ${_.keys(OUTPUT_FORMATS)}`);
+    }
+
+    this.debug(`format third-party summary using format: ${format}`);
+
+    if (format === 'notice') {
+      this._scanMissingNotices(outputDependencies);
+    }
+
+    return OUTPUT_FORMATS[format](outputDependencies, {
+      pkg: this._pkg,
+      options: formatOptions,
+
+      // Chunks are scanned only if the format needs them.
+      chunks: _.once(() => this._dependencyChunks(bundle)),
+    });
+  }
+
+  /**
+   * Warn about dependencies licensed under Apache-2.0 without NOTICE file: the NOTICE file must
+   * be redistributed (if any), so it should be checked manually.
+   *
+   * @param {Array<Object>} outputDependencies The dependencies to include in the output.
+   * @return {void}
+   * @private
+   */
+  _scanMissingNotices(outputDependencies) {
+    outputDependencies.forEach((dependency) => {
+      if (!dependency.noticeText && licenseValidator.isApacheLicensed(dependency)) {
+        this.warn({
+          code: 'MISSING_NOTICE',
+          message: `Dependency "${dependency.name}" is licensed under Apache-2.0 but its NOTICE file cannot be found, please check its notices.`,
+          meta: { dependency },
+        });
+      }
     });
   }
 
@@ -577,37 +1601,189 @@ class LicensePlugin {
    *
    * @param {Array<Object>} outputDependencies The dependencies to include in the output.
    * @param {Array} output The output destination.
+   * @param {Object} generation The rollup bundle generation (plugin context, output options and bundle).
    * @return {void}
    */
-  _exportThirdPartiesToOutput(outputDependencies, output) {
+  _exportThirdPartiesToOutput(outputDependencies, output, generation) {
     if (_.isFunction(output)) {
       output(outputDependencies);
       return;
     }
 
+    if (output.perChunk) {
+      this._exportThirdPartiesPerChunk(output, generation);
+      return;
+    }
+
     // Default is to export to given file.
+    const content = this._renderThirdParties(outputDependencies, output, generation.bundle);
+    this._writeThirdParties(content, output, generation.context, {
+      format: generation.outputOptions?.format,
+    });
+  }
+
+  /**
+   * Export third party dependencies of each chunk of the bundle being generated to its
+   * own output file, and write the index of dependencies per chunk if enabled.
+   *
+   * @param {Object} output The output destination.
+   * @param {Object} generation The rollup bundle generation (plugin context, output options and bundle).
+   * @return {void}
+   * @private
+   */
+  _exportThirdPartiesPerChunk(output, generation) {
+    const { context, outputOptions, bundle } = generation;
+    if (!bundle) {
+      throw new Error(`[${this.name}] -- Cannot export third-party summary per chunk outside of rollup bundle generation`);
+    }
+
+    // Each chunk must be exported to its own file, otherwise reports would overwrite each other.
+    const pattern = output.fileName || output.file;
+    if (!/\[(?:name|fileName)]/.test(pattern)) {
+      throw new Error(
+        `[${this.name}] -- Cannot export third-party summary per chunk to ${pattern}, ` +
+        'please use the [fileName] (or [name]) placeholder, i.e [fileName].LICENSE.txt',
+      );
+    }
 
-    // Allow custom formatting of output using given template option.
+    const format = outputOptions?.format;
+    const index = {};
+
+    this._scanChunks(bundle).forEach(({ chunk, dependencies }) => {
+      const chunkDependencies = this._filterDependencies(dependencies);
+      const content = this._renderThirdParties(chunkDependencies, output, { [chunk.fileName]: chunk });
+      this._writeThirdParties(content, output, context, {
+        format,
+        name: chunk.name,
+        fileName: chunk.fileName,
+      });
+
+      index[chunk.fileName] = chunkDependencies.map((dependency) => ({
+        name: dependency.name,
+        version: dependency.version,
+        license: dependency.license,
+      }));
+    });
+
+    if (output.index) {
+      const indexOutput = {
+        [output.fileName ? 'fileName' : 'file']: output.index,
+        encoding: output.encoding,
+      };
+
+      this._writeThirdParties(JSON.stringify(index, null, 2), indexOutput, context, {
+        format,
+      });
+    }
+  }
+
+  /**
+   * Render third party dependencies to the output content.
+   *
+   * @param {Array<Object>} outputDependencies The dependencies to include in the output.
+   * @param {Object|string} output The output destination.
+   * @param {Object} bundle The rollup bundle (or the chunk) being exported, if any.
+   * @return {string} The output content.
+   * @private
+   */
+  _renderThirdParties(outputDependencies, output, bundle) {
+    // Allow custom formatting of output using given template option, otherwise use given (or default) format.
+    // Note that formatted outputs are not trimmed, since trailing empty values of delimited formats are meaningful.
     const template = _.isString(output.template) ? (dependencies) => _.template(output.template)({ dependencies, _, moment }) : output.template;
-    const defaultTemplate = (dependencies) => (
-      dependencies.length === 0 ? 'No third parties dependencies' : dependencies.map((d) => d.text()).join(`${EOL}${EOL}---${EOL}${EOL}`)
-    );
+    if (_.isFunction(template)) {
+      return (template(outputDependencies) || '').trim();
+    }
 
-    const text = _.isFunction(template) ? template(outputDependencies) : defaultTemplate(outputDependencies);
+    return this._formatThirdParties(outputDependencies, output, bundle);
+  }
+
+  /**
+   * Get the file names of the chunks containing each dependency of given bundle.
+   *
+   * @param {Object} bundle The rollup bundle, may be `undefined` outside of bundle generation.
+   * @return {Map<Dependency, Array<string>>} The chunk file names of each dependency.
+   * @private
+   */
+  _dependencyChunks(bundle) {
+    const dependencyChunks = new Map();
+    if (!bundle) {
+      return dependencyChunks;
+    }
+
+    this._scanChunks(bundle).forEach(({ chunk, dependencies }) => {
+      dependencies.forEach((dependency) => {
+        if (!dependencyChunks.has(dependency)) {
+          dependencyChunks.set(dependency, []);
+        }
+
+        dependencyChunks.get(dependency).push(chunk.fileName);
+      });
+    });
+
+    return dependencyChunks;
+  }
+
+  /**
+   * Write output content to the output destination: a file written to disk, or a
+   * rollup asset.
+   *
+   * @param {string} content The output content.
+   * @param {Object|string} output The output destination.
+   * @param {Object} context The rollup plugin context, used to emit output assets.
+   * @param {Object<string, string>} fileNameData The values of output file name placeholders.
+   * @return {void}
+   * @private
+   */
+  _writeThirdParties(content, output, context, fileNameData) {
     const isOutputFile = _.isString(output);
-    const file = isOutputFile ? output : output.file;
+    const file = formatFileName(isOutputFile ? output : output.file, fileNameData);
     const encoding = isOutputFile ? 'utf-8' : (output.encoding || 'utf-8');
 
+    if (!isOutputFile && output.fileName) {
+      this._emitThirdPartiesAsset(content, formatFileName(output.fileName, fileNameData), encoding, context);
+      return;
+    }
+
+    if (!file) {
+      throw new Error(`[${this.name}] -- Cannot find third-party output destination, please specify a file or a fileName`);
+    }
+
     this.debug(`exporting third-party summary to ${file}`);
     this.debug(`use encoding: ${encoding}`);
 
     // Create directory if it does not already exist.
     fs.mkdirSync(path.parse(file).dir, { recursive: true });
 
-    fs.writeFileSync(file, (text || '').trim(), {
+    fs.writeFileSync(file, content, {
       encoding,
     });
   }
+
+  /**
+   * Emit third-party summary as a rollup asset, so it goes through the rollup output
+   * pipeline (i.e it is part of the bundle and written to the output directory).
+   *
+   * @param {string} content The summary content.
+   * @param {string} fileName The asset file name, relative to the output directory.
+   * @param {string} encoding The content encoding.
+   * @param {Object} context The rollup plugin context.
+   * @return {void}
+   * @private
+   */
+  _emitThirdPartiesAsset(content, fileName, encoding, context) {
+    if (!context || !_.isFunction(context.emitFile)) {
+      throw new Error(`[${this.name}] -- Cannot emit ${fileName} outside of rollup bundle generation`);
+    }
+
+    this.debug(`emitting third-party summary as asset: ${fileName}`);
+    this.debug(`use encoding: ${encoding}`);
+
+    context.emitFile({
+      type: 'asset',
+      fileName,
+      source: encoding === 'utf-8' ? content : Buffer.from(content, encoding),
+    });
+  }
 }
 
 /**
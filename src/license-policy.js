@@ -0,0 +1,209 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import moment from 'moment';
+import yaml from 'js-yaml';
+import semver from 'semver';
+import { licenseAlternatives } from './license-expression';
+import { licenseValidator } from './license-validator';
+
+/**
+ * Read license policy from given JSON or YAML file.
+ *
+ * @param {string} file The policy file path.
+ * @return {Object} The license policy.
+ */
+export function loadLicensePolicy(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  return path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+}
+
+/**
+ * Normalize license policy, so that all rules are defined as arrays.
+ *
+ * @param {Object} policy The license policy.
+ * @return {Object} The normalized policy.
+ */
+export function normalizeLicensePolicy(policy) {
+  const {
+    allow,
+    deny,
+    exceptions,
+    allowCustomLicenses,
+  } = policy || {};
+
+  return {
+    allow: _.castArray(allow || []),
+    deny: _.castArray(deny || []),
+    exceptions: _.castArray(exceptions || []),
+    allowCustomLicenses: allowCustomLicenses === true,
+  };
+}
+
+/**
+ * Normalize given license identifier so that deny rules match all the variants of the license:
+ * case is ignored, and the `-only`, `-or-later` and `+` suffixes are removed (i.e `GPL-3.0-only`,
+ * `GPL-3.0-or-later`, `GPL-3.0+` and `gpl-3.0` are the same license).
+ *
+ * @param {string} license The license identifier (with its exception, if any).
+ * @return {string} The normalized license identifier.
+ */
+function normalizeLicenseId(license) {
+  const [id, ...exception] = license.trim().toUpperCase().split(/\s+WITH\s+/);
+  return [id.replace(/(?:-ONLY|-OR-LATER|\+)$/, ''), ...exception].join(' WITH ');
+}
+
+/**
+ * Check if given policy exception applies to given dependency: the exception must
+ * target the dependency name, and the dependency version must satisfy the exception
+ * version range (if any).
+ *
+ * @param {Object} exception The policy exception.
+ * @param {Dependency} dependency The dependency.
+ * @return {boolean} `true` if the exception applies to the dependency, `false` otherwise.
+ */
+function matchException(exception, dependency) {
+  if (exception.name !== dependency.name) {
+    return false;
+  }
+
+  const range = exception.version || '*';
+  if (!dependency.version) {
+    return range === '*';
+  }
+
+  return semver.satisfies(dependency.version, range, {
+    includePrerelease: true,
+  });
+}
+
+/**
+ * Check if given policy exception has expired.
+ *
+ * @param {Object} exception The policy exception.
+ * @param {moment.Moment} now The current date.
+ * @return {boolean} `true` if the exception has expired, `false` otherwise.
+ */
+function isExpired(exception, now) {
+  if (!exception.expires) {
+    return false;
+  }
+
+  const expires = moment(exception.expires);
+  return expires.isValid() && now.isAfter(expires, 'day');
+}
+
+/**
+ * Describe given policy exception.
+ *
+ * @param {Object} exception The policy exception.
+ * @return {string} The description.
+ */
+function describeException(exception) {
+  const version = exception.version ? `@${exception.version}` : '';
+  const justification = exception.justification ? `, ${exception.justification}` : '';
+  return `exception: ${exception.name}${version}${justification}`;
+}
+
+/**
+ * Check given dependency against given license policy, rules being evaluated in this order:
+ * - A (non expired) exception matching the dependency always allows it.
+ * - An unlicensed dependency is rejected.
+ * - A dependency with a custom license (i.e `SEE LICENSE IN LICENSE.md`) is checked using the license identified
+ *   from its license file, or is rejected if it cannot be identified (unless custom licenses are allowed).
+ * - A dependency is rejected if all the alternatives of its license expression include a denied license (whatever
+ *   the case or the `-only`, `-or-later` and `+` suffixes of the license identifier).
+ * - A dependency is rejected if its license does not satisfy the allowed licenses (if any).
+ *
+ * @param {Object} policy The normalized license policy.
+ * @param {Dependency} dependency The dependency.
+ * @param {moment.Moment} now The current date, used to check exception expiry dates.
+ * @return {Object} The result, with the `allowed` flag, the `rule` that allowed or rejected the
+ *                  dependency, and the `expiredExceptions` matching the dependency.
+ */
+export function checkLicensePolicy(policy, dependency, now = moment()) {
+  const exceptions = policy.exceptions.filter((exception) => matchException(exception, dependency));
+  const [expiredExceptions, activeExceptions] = _.partition(exceptions, (exception) => isExpired(exception, now));
+
+  const result = (allowed, rule) => ({
+    allowed,
+    rule,
+    expiredExceptions,
+  });
+
+  if (activeExceptions.length > 0) {
+    const exception = activeExceptions[0];
+    return result(true, {
+      type: 'exception',
+      description: describeException(exception),
+      exception,
+    });
+  }
+
+  if (licenseValidator.isUnlicensed(dependency)) {
+    return result(false, {
+      type: 'unlicensed',
+      description: 'unlicensed',
+    });
+  }
+
+  const customLicense = licenseValidator.customLicenseFile(dependency.license) !== null;
+  if (customLicense && !dependency.inferredLicense) {
+    return result(policy.allowCustomLicenses, {
+      type: 'custom',
+      description: `custom license${policy.allowCustomLicenses ? ' allowed' : ' not allowed'}`,
+    });
+  }
+
+  const checkedLicense = licenseValidator.effectiveLicense(dependency);
+  const alternatives = licenseAlternatives(checkedLicense);
+  const deny = policy.deny.map((license) => normalizeLicenseId(license));
+  const denied = alternatives.map((licenses) => licenses.filter((license) => deny.includes(normalizeLicenseId(license))));
+  if (denied.every((licenses) => licenses.length > 0)) {
+    const licenses = _.uniq(_.flatten(denied));
+    return result(false, {
+      type: 'deny',
+      description: `deny: ${licenses.join(', ')}`,
+      licenses,
+    });
+  }
+
+  if (policy.allow.length > 0) {
+    const licenses = policy.allow;
+    const allowed = licenseValidator.isValid({ license: checkedLicense }, `(${licenses.join(' OR ')})`);
+    return result(allowed, {
+      type: 'allow',
+      description: `${allowed ? 'allow' : 'not in allow list'}: ${licenses.join(', ')}`,
+      licenses,
+    });
+  }
+
+  return result(true, {
+    type: 'default',
+    description: 'no deny rule matched',
+  });
+}
@@ -0,0 +1,275 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Templates of well-known licenses, as published in the SPDX license list, without copyright
+ * lines (that are specific to each package).
+ *
+ * Templates of short licenses contain the whole license text, whereas templates of long licenses
+ * contain the title and the first paragraphs of the license, which are enough to identify them.
+ * A license may have several templates (i.e the Apache license may be shipped as the whole license
+ * text or as the standard license header).
+ *
+ * @see https://github.com/spdx/license-list-XML
+ *
+ * @type {Array<Object>}
+ */
+export const LICENSE_TEMPLATES = [
+  {
+    id: 'MIT',
+    text: `
+      Permission is hereby granted, free of charge, to any person obtaining a copy of this software
+      and associated documentation files (the "Software"), to deal in the Software without restriction,
+      including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense,
+      and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so,
+      subject to the following conditions:
+
+      The above copyright notice and this permission notice shall be included in all copies or substantial
+      portions of the Software.
+
+      THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT
+      LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+      IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+      WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+      SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+    `,
+  },
+  {
+    id: 'ISC',
+    text: `
+      Permission to use, copy, modify, and/or distribute this software for any purpose with or without fee
+      is hereby granted, provided that the above copyright notice and this permission notice appear in all
+      copies.
+
+      THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH REGARD TO THIS SOFTWARE
+      INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE
+      FOR ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS
+      OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING
+      OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+    `,
+  },
+  {
+    id: '0BSD',
+    text: `
+      Permission to use, copy, modify, and/or distribute this software for any purpose with or without fee
+      is hereby granted.
+
+      THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH REGARD TO THIS SOFTWARE
+      INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE
+      FOR ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS
+      OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING
+      OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+    `,
+  },
+  {
+    id: 'BSD-2-Clause',
+    text: `
+      Redistribution and use in source and binary forms, with or without modification, are permitted
+      provided that the following conditions are met:
+
+      1. Redistributions of source code must retain the above copyright notice, this list of conditions
+      and the following disclaimer.
+
+      2. Redistributions in binary form must reproduce the above copyright notice, this list of conditions
+      and the following disclaimer in the documentation and/or other materials provided with the distribution.
+
+      THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY EXPRESS OR IMPLIED
+      WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+      PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR
+      ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+      TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION)
+      HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+      NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+      POSSIBILITY OF SUCH DAMAGE.
+    `,
+  },
+  {
+    id: 'BSD-3-Clause',
+    text: `
+      Redistribution and use in source and binary forms, with or without modification, are permitted
+      provided that the following conditions are met:
+
+      1. Redistributions of source code must retain the above copyright notice, this list of conditions
+      and the following disclaimer.
+
+      2. Redistributions in binary form must reproduce the above copyright notice, this list of conditions
+      and the following disclaimer in the documentation and/or other materials provided with the distribution.
+
+      3. Neither the name of the copyright holder nor the names of its contributors may be used to endorse
+      or promote products derived from this software without specific prior written permission.
+
+      THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY EXPRESS OR IMPLIED
+      WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+      PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE FOR
+      ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+      TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION)
+      HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+      NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+      POSSIBILITY OF SUCH DAMAGE.
+    `,
+  },
+  {
+    id: 'Unlicense',
+    text: `
+      This is free and unencumbered software released into the public domain.
+
+      Anyone is free to copy, modify, publish, use, compile, sell, or distribute this software, either in
+      source code form or as a compiled binary, for any purpose, commercial or non-commercial, and by any means.
+
+      In jurisdictions that recognize copyright laws, the author or authors of this software dedicate any and
+      all copyright interest in the software to the public domain. We make this dedication for the benefit of
+      the public at large and to the detriment of our heirs and successors. We intend this dedication to be an
+      overt act of relinquishment in perpetuity of all present and future rights to this software under
+      copyright law.
+
+      THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT
+      LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+      IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+      OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+      OTHER DEALINGS IN THE SOFTWARE.
+
+      For more information, please refer to <http://unlicense.org/>
+    `,
+  },
+  {
+    id: 'Apache-2.0',
+    text: `
+      Apache License
+      Version 2.0, January 2004
+      http://www.apache.org/licenses/
+
+      TERMS AND CONDITIONS FOR USE, REPRODUCTION, AND DISTRIBUTION
+
+      1. Definitions.
+
+      "License" shall mean the terms and conditions for use, reproduction, and distribution as defined by
+      Sections 1 through 9 of this document.
+
+      "Licensor" shall mean the copyright owner or entity authorized by the copyright owner that is granting
+      the License.
+    `,
+  },
+  {
+    id: 'Apache-2.0',
+    text: `
+      Licensed under the Apache License, Version 2.0 (the "License"); you may not use this file except in
+      compliance with the License. You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+      Unless required by applicable law or agreed to in writing, software distributed under the License is
+      distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+      See the License for the specific language governing permissions and limitations under the License.
+    `,
+  },
+  {
+    id: 'MPL-2.0',
+    text: `
+      Mozilla Public License Version 2.0
+
+      1. Definitions
+
+      1.1. "Contributor" means each individual or legal entity that creates, contributes to the creation of,
+      or owns Covered Software.
+
+      1.2. "Contributor Version" means the combination of the Contributions of others (if any) used by a
+      Contributor and that particular Contributor's Contribution.
+    `,
+  },
+  {
+    id: 'GPL-2.0-only',
+    text: `
+      GNU GENERAL PUBLIC LICENSE
+      Version 2, June 1991
+
+      Everyone is permitted to copy and distribute verbatim copies of this license document, but changing it
+      is not allowed.
+
+      Preamble
+
+      The licenses for most software are designed to take away your freedom to share and change it. By
+      contrast, the GNU General Public License is intended to guarantee your freedom to share and change free
+      software--to make sure the software is free for all its users.
+    `,
+  },
+  {
+    id: 'GPL-3.0-only',
+    text: `
+      GNU GENERAL PUBLIC LICENSE
+      Version 3, 29 June 2007
+
+      Everyone is permitted to copy and distribute verbatim copies of this license document, but changing it
+      is not allowed.
+
+      Preamble
+
+      The GNU General Public License is a free, copyleft license for software and other kinds of works.
+
+      The licenses for most software and other practical works are designed to take away your freedom to share
+      and change the works. By contrast, the GNU General Public License is intended to guarantee your freedom
+      to share and change all versions of a program--to make sure it remains free software for all its users.
+    `,
+  },
+  {
+    id: 'LGPL-2.1-only',
+    text: `
+      GNU LESSER GENERAL PUBLIC LICENSE
+      Version 2.1, February 1999
+
+      Everyone is permitted to copy and distribute verbatim copies of this license document, but changing it
+      is not allowed.
+
+      [This is the first released version of the Lesser GPL. It also counts as the successor of the GNU Library
+      Public License, version 2, hence the version number 2.1.]
+    `,
+  },
+  {
+    id: 'LGPL-3.0-only',
+    text: `
+      GNU LESSER GENERAL PUBLIC LICENSE
+      Version 3, 29 June 2007
+
+      Everyone is permitted to copy and distribute verbatim copies of this license document, but changing it
+      is not allowed.
+
+      This version of the GNU Lesser General Public License incorporates the terms and conditions of version 3
+      of the GNU General Public License, supplemented by the additional permissions listed below.
+    `,
+  },
+  {
+    id: 'AGPL-3.0-only',
+    text: `
+      GNU AFFERO GENERAL PUBLIC LICENSE
+      Version 3, 19 November 2007
+
+      Everyone is permitted to copy and distribute verbatim copies of this license document, but changing it
+      is not allowed.
+
+      Preamble
+
+      The GNU Affero General Public License is a free, copyleft license for software and other kinds of works,
+      specifically designed to ensure cooperation with the community in the case of network server software.
+    `,
+  },
+];
@@ -0,0 +1,53 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { EOL } from './eol';
+import { stripCopyrights } from './copyright';
+
+/**
+ * Normalize given license text so that texts that only differ by their copyright statements
+ * or their whitespaces can be printed once: copyright statements are removed, trailing whitespaces
+ * and consecutive blank lines are collapsed.
+ *
+ * @param {string} text The license text.
+ * @return {string} The normalized license text.
+ */
+export function normalizeLicenseText(text) {
+  return stripCopyrights(text)
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd())
+    .join(EOL)
+    .replace(new RegExp(`(${EOL}){3,}`, 'g'), `${EOL}${EOL}`)
+    .trim();
+}
+
+/**
+ * Compute the key identifying given normalized license text, whatever its whitespaces.
+ *
+ * @param {string} text The normalized license text.
+ * @return {string} The key.
+ */
+export function licenseTextKey(text) {
+  return text.replace(/\s+/g, ' ');
+}
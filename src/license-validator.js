@@ -22,8 +22,26 @@
  * SOFTWARE.
  */
 
+import spdxCorrect from 'spdx-correct';
 import spdxExpressionValidate from 'spdx-expression-validate';
 import spdxSatisfies from 'spdx-satisfies';
+import { licenseAlternatives } from './license-expression';
+
+/**
+ * The pattern of SPDX expression operators (and parenthesis), used to split a license
+ * expression into single licenses.
+ *
+ * @type {RegExp}
+ */
+const OPERATORS = /(\s+(?:AND|OR|WITH)\s+|[()])/i;
+
+/**
+ * The pattern of custom license declarations, referencing a license file of the package (i.e
+ * `SEE LICENSE IN LICENSE.md`).
+ *
+ * @type {RegExp}
+ */
+const SEE_LICENSE_IN = /^SEE LICEN[CS]E IN\s+(.+)$/i;
 
 /**
  * Normalize license name:
@@ -51,6 +69,23 @@ function checkUnlicensed(license) {
   return license.toUpperCase() === 'UNLICENSED';
 }
 
+/**
+ * Get the license to check for given dependency: the declared license, or the license identified
+ * from the license text when the declared license is missing or references a license file (i.e
+ * `SEE LICENSE IN LICENSE.md`).
+ *
+ * @param {Object} dependency The dependency.
+ * @return {string|null} The license to check.
+ */
+function effectiveLicense(dependency) {
+  const license = dependency.license || null;
+  if (dependency.inferredLicense && (!license || SEE_LICENSE_IN.test(license.trim()))) {
+    return dependency.inferredLicense;
+  }
+
+  return license;
+}
+
 /**
  * Check if dependency is unlicensed, or not.
  *
@@ -58,7 +93,7 @@ function checkUnlicensed(license) {
  * @return {boolean} `true` if dependency does not have any license, `false` otherwise.
  */
 function isUnlicensed(dependency) {
-  const license = normalizeLicense(dependency.license);
+  const license = normalizeLicense(effectiveLicense(dependency));
   return checkUnlicensed(license);
 }
 
@@ -70,7 +105,7 @@ function isUnlicensed(dependency) {
  * @return {boolean} `true` if dependency license is valid, `false` otherwise.
  */
 function isValid(dependency, allow) {
-  const license = normalizeLicense(dependency.license);
+  const license = normalizeLicense(effectiveLicense(dependency));
   if (checkUnlicensed(license)) {
     return false;
   }
@@ -78,7 +113,108 @@ function isValid(dependency, allow) {
   return spdxExpressionValidate(license) && spdxSatisfies(license, allow);
 }
 
+/**
+ * Get the base identifier of given license, ignoring the version range and the license exception,
+ * i.e `GPL-3.0` for `GPL-3.0-or-later WITH Classpath-exception-2.0`.
+ *
+ * @param {string} license The license identifier.
+ * @return {string} The base license identifier.
+ */
+function baseLicenseId(license) {
+  return license.replace(/\s+WITH\s+.*$/i, '').replace(/(?:\+|-only|-or-later)$/i, '');
+}
+
+/**
+ * Check if the declared license of given dependency is not the license identified from its license text,
+ * i.e a package declaring the `MIT` license but shipping a GPL license file.
+ *
+ * Only licenses declared as valid SPDX expressions are checked: the dependency license matches the license
+ * text if any license of the expression is the identified license.
+ *
+ * @param {Object} dependency The dependency.
+ * @return {boolean} `true` if the declared license does not match the license text, `false` otherwise.
+ */
+function isMismatch(dependency) {
+  const { license, inferredLicense } = dependency;
+  if (!license || !inferredLicense || !spdxExpressionValidate(license.trim())) {
+    return false;
+  }
+
+  const inferredId = baseLicenseId(inferredLicense);
+  const licenses = licenseAlternatives(license).flat();
+  return licenses.every((id) => baseLicenseId(id) !== inferredId);
+}
+
+/**
+ * Check if given dependency must be distributed under the Apache-2.0 license, i.e if all
+ * the alternatives of its license expression include the Apache-2.0 license (so `MIT OR Apache-2.0`
+ * is not, since the MIT license may be chosen).
+ *
+ * @param {Object} dependency The dependency.
+ * @return {boolean} `true` if the dependency is licensed under Apache-2.0, `false` otherwise.
+ */
+function isApacheLicensed(dependency) {
+  const license = effectiveLicense(dependency);
+  if (!license) {
+    return false;
+  }
+
+  return licenseAlternatives(license).every((licenses) => (
+    licenses.some((id) => baseLicenseId(id) === 'Apache-2.0')
+  ));
+}
+
+/**
+ * Correct given license if it is not a valid SPDX expression, i.e `Apache 2.0` is corrected
+ * to `Apache-2.0`. Each license of an expression is corrected, so that no license is lost
+ * (i.e `MIT or Apache 2.0` is corrected to `MIT OR Apache-2.0`).
+ *
+ * @param {string} license The license.
+ * @return {string|null} The corrected license, `null` if the license does not need to be (or cannot be) corrected.
+ */
+function correct(license) {
+  const normalizedLicense = normalizeLicense(license);
+  if (checkUnlicensed(normalizedLicense) || SEE_LICENSE_IN.test(normalizedLicense) || spdxExpressionValidate(normalizedLicense)) {
+    return null;
+  }
+
+  const tokens = normalizedLicense.split(OPERATORS).filter((token) => token.trim() !== '');
+  const correctedTokens = tokens.map((token, idx) => {
+    if (OPERATORS.test(token)) {
+      return token.trim() === token ? token : ` ${token.trim().toUpperCase()} `;
+    }
+
+    // License exceptions cannot be corrected.
+    const previous = tokens[idx - 1];
+    return previous && previous.trim().toUpperCase() === 'WITH' ? token.trim() : spdxCorrect(token.trim());
+  });
+
+  if (correctedTokens.some((token) => !token)) {
+    return null;
+  }
+
+  const correctedLicense = correctedTokens.join('');
+  return spdxExpressionValidate(correctedLicense) ? correctedLicense : null;
+}
+
+/**
+ * Get the license file referenced by given custom license declaration, i.e `LICENSE.md` for
+ * the `SEE LICENSE IN LICENSE.md` license.
+ *
+ * @param {string|null} license The license.
+ * @return {string|null} The license file, `null` if the license is not a custom license declaration.
+ */
+function customLicenseFile(license) {
+  const match = SEE_LICENSE_IN.exec(normalizeLicense(license));
+  return match ? match[1].trim() : null;
+}
+
 export const licenseValidator = {
+  effectiveLicense,
   isUnlicensed,
   isValid,
+  isMismatch,
+  isApacheLicensed,
+  correct,
+  customLicenseFile,
 };
@@ -0,0 +1,211 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import _ from 'lodash';
+import { Dependency } from './dependency';
+import { Person } from './person';
+import { PLUGIN_NAME } from './license-plugin-name';
+import { formatCopyright } from './copyright';
+import { repositoryUrl } from './repository-url';
+
+/**
+ * The default columns of CSV (and TSV) reports.
+ *
+ * @type {Array<string>}
+ */
+const DEFAULT_COLUMNS = ['name', 'version', 'license', 'description', 'repository', 'homepage'];
+
+/**
+ * The column listing the chunks containing each dependency.
+ *
+ * @type {string}
+ */
+const CHUNKS_COLUMN = 'chunks';
+
+/**
+ * The separator of values of multi-valued columns (i.e `contributors` or `chunks`).
+ *
+ * @type {string}
+ */
+const VALUE_SEPARATOR = '; ';
+
+/**
+ * Get the available columns: each field of dependencies, and the `chunks` column.
+ *
+ * @return {Array<string>} The available columns.
+ */
+function availableColumns() {
+  return [...Object.keys(new Dependency({})), CHUNKS_COLUMN];
+}
+
+/**
+ * Convert given dependency field value to a string.
+ *
+ * @param {*} value The value.
+ * @return {string} The string value.
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Person) {
+    return value.text();
+  }
+
+  if (_.isArray(value)) {
+    return value.map((item) => toText(item)).join(VALUE_SEPARATOR);
+  }
+
+  if (_.isPlainObject(value)) {
+    // Copyrights, and license files (identified by their name).
+    if (_.has(value, 'holder')) {
+      return formatCopyright(value);
+    }
+
+    if (_.has(value, 'content')) {
+      return value.name;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Get the value of given column for given dependency.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @param {string} column The column.
+ * @param {Map<Dependency, Array<string>>} chunks The chunks containing each dependency.
+ * @return {string} The value.
+ */
+function columnValue(dependency, column, chunks) {
+  if (column === CHUNKS_COLUMN) {
+    return toText(chunks.get(dependency) || []);
+  }
+
+  if (column === 'repository') {
+    return toText(repositoryUrl(dependency.repository));
+  }
+
+  return toText(dependency[column]);
+}
+
+/**
+ * Format given dependencies as a delimited table, with a header row and one row per dependency.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {function} escape The function escaping each value.
+ * @param {string} delimiter The value delimiter.
+ * @param {string} eol The row delimiter.
+ * @return {string} The table.
+ */
+function formatTable(dependencies, context, escape, delimiter, eol) {
+  const { options = {} } = context;
+  const columns = options.columns || DEFAULT_COLUMNS;
+
+  const columnNames = availableColumns();
+  columns.forEach((column) => {
+    if (!columnNames.includes(column)) {
+      throw new Error(`[${PLUGIN_NAME}] -- Unknown column ${column}, please use one of: ${columnNames}`);
+    }
+  });
+
+  const chunks = columns.includes(CHUNKS_COLUMN) && context.chunks ? context.chunks() : new Map();
+  const rows = [
+    columns,
+    ...dependencies.map((dependency) => columns.map((column) => columnValue(dependency, column, chunks))),
+  ];
+
+  return rows.map((row) => row.map((value) => escape(value)).join(delimiter)).join(eol);
+}
+
+/**
+ * Protect given value against formula injection: values coming from third-party packages (i.e the
+ * description) must not be run as formulas when the report is opened in a spreadsheet, so values
+ * starting with `=`, `+`, `-`, `@`, a tab or a carriage return are prefixed with a single quote.
+ *
+ * @see https://owasp.org/www-community/attacks/CSV_Injection
+ *
+ * @param {string} value The value.
+ * @return {string} The protected value.
+ */
+function protectFormula(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Escape given CSV value: values containing a comma, a double quote or a line break are
+ * enclosed in double quotes, double quotes being escaped with another double quote.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc4180
+ *
+ * @param {string} value The value.
+ * @return {string} The escaped value.
+ */
+function escapeCsv(value) {
+  const protectedValue = protectFormula(value);
+  return /[",\r\n]/.test(protectedValue) ? `"${protectedValue.replace(/"/g, '""')}"` : protectedValue;
+}
+
+/**
+ * Escape given TSV value: tabs and line breaks cannot be escaped, so they are replaced with spaces.
+ *
+ * @see https://www.iana.org/assignments/media-types/text/tab-separated-values
+ *
+ * @param {string} value The value.
+ * @return {string} The escaped value.
+ */
+function escapeTsv(value) {
+  return protectFormula(value).replace(/\r\n|[\t\r\n]/g, ' ');
+}
+
+/**
+ * Format given dependencies as a CSV report (RFC 4180).
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.options The format options (report `columns`).
+ * @param {function} context.chunks Function returning the chunks containing each dependency.
+ * @return {string} The CSV report.
+ */
+export function formatCsv(dependencies, context) {
+  return formatTable(dependencies, context, escapeCsv, ',', '\r\n');
+}
+
+/**
+ * Format given dependencies as a TSV report.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.options The format options (report `columns`).
+ * @param {function} context.chunks Function returning the chunks containing each dependency.
+ * @return {string} The TSV report.
+ */
+export function formatTsv(dependencies, context) {
+  return formatTable(dependencies, context, escapeTsv, '\t', '\n');
+}
@@ -0,0 +1,244 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import moment from 'moment';
+import spdxExpressionValidate from 'spdx-expression-validate';
+import { PLUGIN_NAME } from './license-plugin-name';
+import { licenseValidator } from './license-validator';
+import { identifyLicense } from './license-identifier';
+import { formatCopyright } from './copyright';
+import { purl } from './purl';
+import { randomUuid } from './uuid';
+import { repositoryUrl } from './repository-url';
+
+/**
+ * Mapping between SRI hash algorithms (as used in npm `integrity` fields) and
+ * CycloneDX hash algorithms.
+ *
+ * @type {Object<string, string>}
+ */
+const HASH_ALGORITHMS = {
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
+
+/**
+ * Generate CycloneDX licenses entry of given license:
+ * - A valid SPDX expression is exported as an `expression` entry.
+ * - Anything else is exported as a license `name`.
+ *
+ * @param {string|null} license The license.
+ * @return {Array<Object>|undefined} The CycloneDX licenses.
+ */
+function cycloneDxLicenses(license) {
+  if (!license) {
+    return undefined;
+  }
+
+  const trimmedLicense = license.trim();
+  if (spdxExpressionValidate(trimmedLicense)) {
+    return [{ expression: trimmedLicense }];
+  }
+
+  return [{ license: { name: trimmedLicense } }];
+}
+
+/**
+ * Generate CycloneDX evidence of given license files: each license file is exported with its
+ * text, and identified by its SPDX identifier (if the license can be identified) or its file name.
+ *
+ * @param {Array<Object>} licenseFiles The license files.
+ * @return {Object|undefined} The CycloneDX evidence.
+ */
+function cycloneDxEvidence(licenseFiles) {
+  if (!licenseFiles || licenseFiles.length === 0) {
+    return undefined;
+  }
+
+  return {
+    licenses: licenseFiles.map(({ name, content }) => {
+      const id = identifyLicense(content);
+      return {
+        license: {
+          ...(id ? { id } : { name }),
+          text: {
+            contentType: 'text/plain',
+            content,
+          },
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Generate CycloneDX copyright of given copyrights, one copyright statement per line.
+ *
+ * @param {Array<Object>} copyrights The copyrights.
+ * @return {string|undefined} The CycloneDX copyright.
+ */
+function cycloneDxCopyright(copyrights) {
+  if (!copyrights || copyrights.length === 0) {
+    return undefined;
+  }
+
+  return copyrights.map((copyright) => formatCopyright(copyright)).join('\n');
+}
+
+/**
+ * Generate CycloneDX hashes from given SRI integrity string (i.e `sha512-...`).
+ *
+ * @param {string|null} integrity The integrity string.
+ * @return {Array<Object>|undefined} The CycloneDX hashes.
+ */
+function cycloneDxHashes(integrity) {
+  if (!integrity) {
+    return undefined;
+  }
+
+  const hashes = integrity.trim().split(/\s+/).map((sri) => {
+    const idx = sri.indexOf('-');
+    const alg = HASH_ALGORITHMS[sri.slice(0, idx).toLowerCase()];
+    if (idx < 0 || !alg) {
+      return null;
+    }
+
+    return {
+      alg,
+      content: Buffer.from(sri.slice(idx + 1), 'base64').toString('hex'),
+    };
+  });
+
+  const validHashes = hashes.filter((hash) => hash !== null);
+  return validHashes.length > 0 ? validHashes : undefined;
+}
+
+/**
+ * Generate CycloneDX external references of given repository and homepage.
+ *
+ * @param {string|Object|null} repository The repository.
+ * @param {string|null} homepage The homepage.
+ * @return {Array<Object>|undefined} The CycloneDX external references.
+ */
+function cycloneDxExternalReferences(repository, homepage) {
+  const externalReferences = [];
+
+  const url = repositoryUrl(repository);
+  if (url) {
+    externalReferences.push({ type: 'vcs', url });
+  }
+
+  if (homepage) {
+    externalReferences.push({ type: 'website', url: homepage });
+  }
+
+  return externalReferences.length > 0 ? externalReferences : undefined;
+}
+
+/**
+ * Generate the CycloneDX component of given dependency: file-level components (i.e vendored
+ * files) are exported as `file` components, without package URL.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @return {Object} The CycloneDX component.
+ */
+function cycloneDxComponent(dependency) {
+  const ref = dependency.file ? `file:${dependency.file}` : purl(dependency.name, dependency.version);
+  return {
+    'type': dependency.file ? 'file' : 'library',
+    'bom-ref': ref,
+    'name': dependency.name,
+    'version': dependency.version || undefined,
+    'description': dependency.description || undefined,
+    'author': dependency.author ? dependency.author.text() : undefined,
+    'licenses': cycloneDxLicenses(licenseValidator.effectiveLicense(dependency)),
+    'copyright': cycloneDxCopyright(dependency.copyrights),
+    'purl': dependency.file ? undefined : ref,
+    'hashes': cycloneDxHashes(dependency.integrity),
+    'externalReferences': cycloneDxExternalReferences(dependency.repository, dependency.homepage),
+    'evidence': cycloneDxEvidence(dependency.licenseFiles),
+  };
+}
+
+/**
+ * Generate the CycloneDX component describing the project being built.
+ *
+ * @param {Object} pkg The project `package.json` content.
+ * @return {Object|undefined} The CycloneDX component.
+ */
+function cycloneDxMetadataComponent(pkg) {
+  if (!pkg || !pkg.name) {
+    return undefined;
+  }
+
+  const ref = purl(pkg.name, pkg.version);
+  return {
+    'type': 'application',
+    'bom-ref': ref,
+    'name': pkg.name,
+    'version': pkg.version || undefined,
+    'licenses': cycloneDxLicenses(pkg.license),
+    'purl': ref,
+  };
+}
+
+/**
+ * Format given dependencies as a CycloneDX 1.5 JSON bill of materials: the project being built (i.e
+ * the "self" dependency, when included) is described by the metadata component, and is not listed
+ * in components since `bom-ref` must be unique.
+ *
+ * @see https://cyclonedx.org/docs/1.5/json/
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.pkg The project `package.json` content.
+ * @return {string} The JSON document.
+ */
+export function formatCycloneDx(dependencies, { pkg }) {
+  const component = cycloneDxMetadataComponent(pkg);
+  const components = dependencies
+    .map((dependency) => cycloneDxComponent(dependency))
+    .filter((dependencyComponent) => !component || dependencyComponent['bom-ref'] !== component['bom-ref']);
+
+  const bom = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${randomUuid()}`,
+    version: 1,
+    metadata: {
+      timestamp: moment().toISOString(),
+      tools: {
+        components: [
+          { type: 'application', name: PLUGIN_NAME },
+        ],
+      },
+      component,
+    },
+    components,
+  };
+
+  return JSON.stringify(bom, null, 2);
+}
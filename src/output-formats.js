@@ -0,0 +1,64 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { formatText } from './output-text';
+import { formatCycloneDx } from './output-cyclonedx';
+import { formatSpdxJson, formatSpdxTagValue } from './output-spdx';
+import { formatNotice } from './output-notice';
+import { formatJson } from './output-json';
+import { formatHtml } from './output-html';
+import { formatMarkdown } from './output-markdown';
+import { formatCsv, formatTsv } from './output-csv';
+
+/**
+ * Pre-Defined third-party output formats:
+ *
+ * - `text` stands for the default text report.
+ * - `cyclonedx` stands for a CycloneDX 1.5 JSON bill of materials.
+ * - `spdx-json` stands for a SPDX 2.3 JSON document.
+ * - `spdx-tv` stands for a SPDX 2.3 tag-value document.
+ * - `notice` stands for an aggregated NOTICE file (i.e the NOTICE texts of all dependencies).
+ * - `json` stands for a JSON report, using the JSON representation of dependencies.
+ * - `html` stands for an HTML attribution page.
+ * - `markdown` stands for a Markdown notices document (i.e `THIRD_PARTY_NOTICES.md`).
+ * - `csv` and `tsv` stand for CSV and TSV reports, with configurable columns.
+ *
+ * Each format is a function taking the list of dependencies and the output
+ * context (i.e the project `package.json`, the format options and a function returning
+ * the chunks containing each dependency), and returning the output content.
+ *
+ * @type {Object<string, function>}
+ */
+export const OUTPUT_FORMATS = {
+  'text': formatText,
+  'cyclonedx': formatCycloneDx,
+  'spdx-json': formatSpdxJson,
+  'spdx-tv': formatSpdxTagValue,
+  'notice': formatNotice,
+  'json': formatJson,
+  'html': formatHtml,
+  'markdown': formatMarkdown,
+  'csv': formatCsv,
+  'tsv': formatTsv,
+};
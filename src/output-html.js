@@ -0,0 +1,242 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import _ from 'lodash';
+import { EOL } from './eol';
+import { anchorId } from './anchor-id';
+import { licenseValidator } from './license-validator';
+import { packageName } from './package-name';
+import { repositoryUrl } from './repository-url';
+
+/**
+ * The default title of the HTML page.
+ *
+ * @type {string}
+ */
+const DEFAULT_TITLE = 'Open source licenses';
+
+/**
+ * The name of the group of dependencies without license.
+ *
+ * @type {string}
+ */
+const UNKNOWN_LICENSE = 'Unknown license';
+
+/**
+ * The default style sheet of the HTML page.
+ *
+ * @type {string}
+ */
+const DEFAULT_CSS = [
+  'body { font-family: system-ui, sans-serif; line-height: 1.5; margin: 0 auto; max-width: 60rem; padding: 1rem; color: #1f2328; }',
+  'pre { white-space: pre-wrap; word-break: break-word; background: #f6f8fa; padding: 1rem; overflow: auto; }',
+  'summary { cursor: pointer; }',
+  '.package { border-bottom: 1px solid #d0d7de; padding: 0.5rem 0; }',
+  '.package h3 { margin: 0; font-size: 1.1rem; }',
+  '.package-list { list-style: none; padding: 0; }',
+  '.search { margin: 1rem 0; }',
+  '.search input { font: inherit; padding: 0.25rem 0.5rem; width: 100%; max-width: 30rem; }',
+].join(EOL);
+
+/**
+ * The script filtering packages with the search box: packages (and license sections) not matching
+ * the search query are hidden. The search box is hidden when scripts are disabled.
+ *
+ * @type {string}
+ */
+const SEARCH_SCRIPT = [
+  '(function () {',
+  '  var form = document.getElementById(\'search\');',
+  '  var input = document.getElementById(\'search-input\');',
+  '  var status = document.getElementById(\'search-status\');',
+  '  form.hidden = false;',
+  '  form.addEventListener(\'submit\', function (e) { e.preventDefault(); });',
+  '  input.addEventListener(\'input\', function () {',
+  '    var query = input.value.trim().toLowerCase();',
+  '    var count = 0;',
+  '    document.querySelectorAll(\'.license\').forEach(function (section) {',
+  '      var visible = 0;',
+  '      section.querySelectorAll(\'.package\').forEach(function (item) {',
+  '        var match = item.getAttribute(\'data-search\').indexOf(query) >= 0;',
+  '        item.hidden = !match;',
+  '        visible += match ? 1 : 0;',
+  '      });',
+  '      section.hidden = visible === 0;',
+  '      count += visible;',
+  '    });',
+  '    status.textContent = query ? count + \' package(s) found\' : \'\';',
+  '  });',
+  '})();',
+].join(EOL);
+
+/**
+ * Generate a link to given URL, `null` if the URL is not an HTTP(S) URL.
+ *
+ * @param {string|null} url The URL.
+ * @param {string} label The link label.
+ * @return {string|null} The HTML link.
+ */
+function htmlLink(url, label) {
+  if (!url || !/^https?:\/\//i.test(url)) {
+    return null;
+  }
+
+  return `<a href="${_.escape(url)}">${_.escape(label)}</a>`;
+}
+
+/**
+ * Generate a collapsible text block.
+ *
+ * @param {string} summary The block summary.
+ * @param {string|null} text The text.
+ * @return {string|null} The HTML block, `null` if the text is empty.
+ */
+function htmlDetails(summary, text) {
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  return `<details><summary>${_.escape(summary)}</summary><pre>${_.escape(text.trim())}</pre></details>`;
+}
+
+/**
+ * Generate the HTML entry of given dependency.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @param {Set<string>} ids The anchors already used in the page.
+ * @return {string} The HTML entry.
+ */
+function htmlPackage(dependency, ids) {
+  const name = packageName(dependency);
+  const id = anchorId('package', name, ids);
+  const license = licenseValidator.effectiveLicense(dependency) || UNKNOWN_LICENSE;
+  const search = `${name} ${license}`.toLowerCase();
+
+  const links = _.compact([
+    htmlLink(dependency.homepage, 'Homepage'),
+    htmlLink(repositoryUrl(dependency.repository), 'Repository'),
+  ]);
+
+  const licenseFiles = dependency.licenseFiles && dependency.licenseFiles.length > 1 ? dependency.licenseFiles : [];
+  const texts = licenseFiles.length > 0 ? (
+    licenseFiles.map((licenseFile) => htmlDetails(`License text (${licenseFile.name})`, licenseFile.content))
+  ) : (
+    [htmlDetails('License text', dependency.licenseText)]
+  );
+
+  return _.compact([
+    `<li class="package" id="${_.escape(id)}" data-search="${_.escape(search)}">`,
+    `<h3><a href="#${_.escape(id)}">${_.escape(name)}</a></h3>`,
+    dependency.author ? `<p>Author: ${_.escape(dependency.author.text())}</p>` : null,
+    links.length > 0 ? `<p>${links.join(' | ')}</p>` : null,
+    ...texts,
+    htmlDetails('Notice', dependency.noticeText),
+    '</li>',
+  ]).join(EOL);
+}
+
+/**
+ * Group given dependencies by license, licenses being sorted by name (dependencies without license last).
+ *
+ * @param {Array<Dependency>} dependencies The dependencies.
+ * @return {Array<Object>} The groups, with `license` and `dependencies` entries.
+ */
+function groupByLicense(dependencies) {
+  const groups = _.groupBy(dependencies, (dependency) => licenseValidator.effectiveLicense(dependency) || UNKNOWN_LICENSE);
+  const licenses = _.sortBy(Object.keys(groups), [
+    (license) => license === UNKNOWN_LICENSE,
+    (license) => license.toLowerCase(),
+  ]);
+
+  return licenses.map((license) => ({
+    license,
+    dependencies: groups[license],
+  }));
+}
+
+/**
+ * Format given dependencies as a self-contained HTML attribution page: dependencies are grouped by license,
+ * each dependency having an anchor and collapsible license (and notice) texts, and a search box can be used to
+ * filter dependencies.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.options The format options (page `title`, custom `css` and `header`).
+ * @return {string} The HTML page.
+ */
+export function formatHtml(dependencies, { options = {} }) {
+  const title = options.title || DEFAULT_TITLE;
+
+  // Anchors must be unique in the page: license sections also use a `-title` identifier for their heading.
+  const ids = new Set();
+  const groups = groupByLicense(dependencies).map((group) => {
+    const id = anchorId('license', group.license, ids);
+    ids.add(`${id}-title`);
+    return { ...group, id };
+  });
+
+  const sections = groups.map(({ id, license, dependencies: licenseDependencies }) => (
+    [
+      `<section class="license" id="${_.escape(id)}" aria-labelledby="${_.escape(id)}-title">`,
+      `<h2 id="${_.escape(id)}-title">${_.escape(license)}</h2>`,
+      '<ul class="package-list">',
+      ...licenseDependencies.map((dependency) => htmlPackage(dependency, ids)),
+      '</ul>',
+      '</section>',
+    ].join(EOL)
+  ));
+
+  const toc = groups.map(({ id, license, dependencies: licenseDependencies }) => (
+    `<li><a href="#${_.escape(id)}">${_.escape(license)}</a> (${licenseDependencies.length})</li>`
+  ));
+
+  return _.compact([
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${_.escape(title)}</title>`,
+    `<style>${EOL}${DEFAULT_CSS}${EOL}</style>`,
+    options.css ? `<style>${EOL}${options.css}${EOL}</style>` : null,
+    '</head>',
+    '<body>',
+    '<header>',
+    options.header || `<h1>${_.escape(title)}</h1>`,
+    '</header>',
+    '<main>',
+    '<form class="search" id="search" role="search" hidden>',
+    '<label for="search-input">Search packages</label>',
+    '<input type="search" id="search-input" autocomplete="off">',
+    '<p id="search-status" role="status" aria-live="polite"></p>',
+    '</form>',
+    dependencies.length === 0 ? '<p>No third parties dependencies</p>' : null,
+    toc.length > 0 ? `<nav aria-label="Licenses">${EOL}<ul>${EOL}${toc.join(EOL)}${EOL}</ul>${EOL}</nav>` : null,
+    ...sections,
+    '</main>',
+    `<script>${EOL}${SEARCH_SCRIPT}${EOL}</script>`,
+    '</body>',
+    '</html>',
+  ]).join(EOL);
+}
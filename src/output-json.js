@@ -0,0 +1,47 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * The version of the JSON report schema: it must be incremented on any breaking change
+ * of the report (or the dependency JSON representation).
+ *
+ * @type {number}
+ */
+export const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Format given dependencies as a JSON report, with the schema version and the JSON
+ * representation of each dependency (see `Dependency#toJSON`).
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @return {string} The JSON document.
+ */
+export function formatJson(dependencies) {
+  const report = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    dependencies: dependencies.map((dependency) => dependency.toJSON()),
+  };
+
+  return JSON.stringify(report, null, 2);
+}
@@ -0,0 +1,224 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { EOL } from './eol';
+import { anchorId } from './anchor-id';
+import { licenseValidator } from './license-validator';
+import { packageName } from './package-name';
+import { identifyLicense } from './license-identifier';
+import { licenseTextKey, normalizeLicenseText } from './license-text';
+import { formatCopyright } from './copyright';
+import { repositoryUrl } from './repository-url';
+
+/**
+ * The default title of the Markdown document.
+ *
+ * @type {string}
+ */
+const DEFAULT_TITLE = 'Third-party notices';
+
+/**
+ * Escape Markdown special characters of given text, so it can be used in headings, links and tables.
+ *
+ * @param {string} text The text.
+ * @return {string} The escaped text.
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|#]/g, '\\$&').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Generate a fenced code block of given text: the fence is longer than any backtick sequence
+ * of the text, so the text cannot close the block.
+ *
+ * @param {string} text The text.
+ * @return {string} The fenced code block.
+ */
+function fencedBlock(text) {
+  const backticks = (text.match(/`+/g) || []).reduce((max, sequence) => Math.max(max, sequence.length + 1), 3);
+  const fence = '`'.repeat(backticks);
+  return [`${fence}text`, text, fence].join(EOL);
+}
+
+/**
+ * Get the license (and notice) texts of given dependency, with their label and the `key` identifying
+ * identical texts: license texts are normalized (copyright statements being listed with each dependency),
+ * so that license texts that only differ by their copyright statements are written once.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @return {Array<Object>} The texts, with `label`, `text` and `key` entries.
+ */
+function dependencyTexts(dependency) {
+  const licenseFiles = dependency.licenseFiles && dependency.licenseFiles.length > 1 ? dependency.licenseFiles : [];
+  const licenseTexts = licenseFiles.length > 0 ? (
+    licenseFiles.map((licenseFile) => ({ label: `License text (${licenseFile.name})`, text: licenseFile.content }))
+  ) : (
+    [{ label: 'License text', text: dependency.licenseText }]
+  );
+
+  return [
+    ...licenseTexts.map(({ label, text }) => {
+      const normalizedText = normalizeLicenseText(text || '');
+      return { label, text: normalizedText, key: `license:${licenseTextKey(normalizedText)}` };
+    }),
+    { label: 'Notice', text: (dependency.noticeText || '').trim(), key: `notice:${(dependency.noticeText || '').trim()}` },
+  ].filter(({ text }) => text);
+}
+
+/**
+ * Format given dependencies as a Markdown document (i.e a `THIRD_PARTY_NOTICES.md` file), with:
+ * - A table of contents.
+ * - A summary table, with the name, version, license and repository of each dependency.
+ * - The license (and notice) texts of each dependency: identical texts are written once, dependencies
+ *   linking to the text they use (license texts that only differ by their copyright statements being identical,
+ *   the copyright statements are listed with each dependency).
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.options The format options (document `title`).
+ * @return {string} The Markdown document.
+ */
+export function formatMarkdown(dependencies, { options = {} }) {
+  const title = options.title || DEFAULT_TITLE;
+
+  // Package anchors must be unique in the document.
+  const ids = new Set();
+
+  // Identical texts are written once, identified by their (normalized) content.
+  const texts = new Map();
+  const entries = dependencies.map((dependency) => {
+    const name = packageName(dependency);
+    const refs = dependencyTexts(dependency).map(({ label, text, key }) => {
+      if (!texts.has(key)) {
+        const index = texts.size + 1;
+        const textLicense = identifyLicense(text);
+        texts.set(key, {
+          id: `text-${index}`,
+          title: textLicense ? `Text ${index} (${textLicense})` : `Text ${index}`,
+          text,
+          users: [],
+        });
+      }
+
+      const ref = texts.get(key);
+      ref.users.push(name);
+      return { label, ref };
+    });
+
+    return {
+      dependency,
+      name,
+      id: anchorId('package', name, ids),
+      license: licenseValidator.effectiveLicense(dependency) || 'Unknown',
+      refs,
+    };
+  });
+
+  const lines = [`# ${escapeMarkdown(title)}`, ''];
+
+  if (dependencies.length === 0) {
+    lines.push('No third parties dependencies');
+    return lines.join(EOL);
+  }
+
+  lines.push(
+    '## Table of contents',
+    '',
+    '- [Summary](#summary)',
+    '- [Dependencies](#dependencies)',
+    ...entries.map(({ name, id }) => `  - [${escapeMarkdown(name)}](#${id})`),
+  );
+
+  if (texts.size > 0) {
+    lines.push(
+      '- [License texts](#license-texts)',
+      ...Array.from(texts.values()).map((ref) => `  - [${ref.title}](#${ref.id})`),
+    );
+  }
+
+  lines.push(
+    '',
+    '<a id="summary"></a>',
+    '',
+    '## Summary',
+    '',
+    '| Name | Version | License | Repository |',
+    '| --- | --- | --- | --- |',
+    ...entries.map((entry) => {
+      const { dependency } = entry;
+      const url = repositoryUrl(dependency.repository);
+      const repository = url && /^https?:\/\//i.test(url) ? `[${escapeMarkdown(url)}](${url})` : '';
+      const version = escapeMarkdown(dependency.version || '');
+      return `| [${escapeMarkdown(dependency.name)}](#${entry.id}) | ${version} | ${escapeMarkdown(entry.license)} | ${repository} |`;
+    }),
+    '',
+    '<a id="dependencies"></a>',
+    '',
+    '## Dependencies',
+  );
+
+  entries.forEach((entry) => {
+    lines.push(
+      '',
+      `<a id="${entry.id}"></a>`,
+      '',
+      `### ${escapeMarkdown(entry.name)}`,
+      '',
+      `License: ${escapeMarkdown(entry.license)}`,
+    );
+
+    if (entry.refs.length > 0) {
+      lines.push('', ...entry.refs.map(({ label, ref }) => `- ${label}: [${ref.title}](#${ref.id})`));
+    }
+
+    const copyrights = entry.dependency.copyrights || [];
+    if (copyrights.length > 0) {
+      lines.push('', 'Copyrights:', '', ...copyrights.map((copyright) => `- ${escapeMarkdown(formatCopyright(copyright))}`));
+    }
+  });
+
+  if (texts.size > 0) {
+    lines.push(
+      '',
+      '<a id="license-texts"></a>',
+      '',
+      '## License texts',
+    );
+
+    texts.forEach((ref) => {
+      lines.push(
+        '',
+        `<a id="${ref.id}"></a>`,
+        '',
+        `### ${ref.title}`,
+        '',
+        `Used by: ${ref.users.map((user) => escapeMarkdown(user)).join(', ')}`,
+        '',
+        fencedBlock(ref.text),
+      );
+    });
+  }
+
+  return lines.join(EOL);
+}
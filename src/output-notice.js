@@ -0,0 +1,66 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { EOL } from './eol';
+import { packageName } from './package-name';
+
+/**
+ * Format given dependencies as an aggregated NOTICE file: the NOTICE text of each dependency
+ * is written after the name and version of the dependencies shipping it, so identical notices
+ * are only written once.
+ *
+ * Dependencies without NOTICE text are not included.
+ *
+ * @see https://www.apache.org/licenses/LICENSE-2.0#redistribution
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @return {string} The NOTICE file content.
+ */
+export function formatNotice(dependencies) {
+  const notices = new Map();
+
+  dependencies.forEach((dependency) => {
+    const noticeText = (dependency.noticeText || '').trim();
+    if (!noticeText) {
+      return;
+    }
+
+    if (!notices.has(noticeText)) {
+      notices.set(noticeText, new Set());
+    }
+
+    notices.get(noticeText).add(packageName(dependency));
+  });
+
+  if (notices.size === 0) {
+    return 'No third parties notices';
+  }
+
+  return Array.from(notices.entries()).map(([noticeText, headings]) => [
+    ...headings,
+    '===',
+    '',
+    noticeText,
+  ].join(EOL)).join(`${EOL}${EOL}---${EOL}${EOL}`);
+}
@@ -0,0 +1,332 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import moment from 'moment';
+import spdxExpressionValidate from 'spdx-expression-validate';
+import { EOL } from './eol';
+import { PLUGIN_NAME } from './license-plugin-name';
+import { purl } from './purl';
+import { formatCopyright } from './copyright';
+import { randomUuid } from './uuid';
+import { uniqueId } from './unique-id';
+
+/**
+ * Value used in SPDX documents when no information can be asserted.
+ * @type {string}
+ */
+const NOASSERTION = 'NOASSERTION';
+
+/**
+ * SPDX identifier of the package describing the bundle.
+ * @type {string}
+ */
+const BUNDLE_SPDX_ID = 'SPDXRef-Bundle';
+
+/**
+ * Turn given value into a valid SPDX `idstring` (i.e only letters, numbers, `.` and `-`).
+ *
+ * @param {string} value The value.
+ * @return {string} The SPDX `idstring`.
+ */
+function toIdString(value) {
+  return value.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generate a unique SPDX identifier from given value: since `idstring` are lossy (i.e `@scope/foo`
+ * and `scope-foo` give the same `idstring`), a counter is appended to identifiers already used.
+ *
+ * @param {string} prefix The identifier prefix, i.e `SPDXRef-Package-`.
+ * @param {string} value The value.
+ * @param {Set<string>} ids The identifiers already used in the document.
+ * @return {string} The SPDX identifier.
+ */
+function uniqueSpdxId(prefix, value, ids) {
+  return uniqueId(`${prefix}${toIdString(value)}`, ids);
+}
+
+/**
+ * Compute the declared license of given package, registering extracted licensing info
+ * for license that are not valid SPDX expressions.
+ *
+ * @param {string|null} license The declared license.
+ * @param {string|null} licenseText The license text.
+ * @param {string} name The package name, used to generate license reference.
+ * @param {Map<string, Object>} extractedLicenses Extracted licensing info, indexed by license text.
+ * @param {Set<string>} ids The identifiers already used in the document.
+ * @return {Object} The declared license, and optional comment.
+ */
+function spdxDeclaredLicense(license, licenseText, name, extractedLicenses, ids) {
+  const trimmedLicense = license ? license.trim() : '';
+  if (!trimmedLicense) {
+    return {
+      licenseDeclared: NOASSERTION,
+    };
+  }
+
+  if (spdxExpressionValidate(trimmedLicense)) {
+    return {
+      licenseDeclared: trimmedLicense,
+    };
+  }
+
+  if (!licenseText) {
+    return {
+      licenseDeclared: NOASSERTION,
+      licenseComments: `Declared license: ${trimmedLicense}`,
+    };
+  }
+
+  if (!extractedLicenses.has(licenseText)) {
+    extractedLicenses.set(licenseText, {
+      licenseId: uniqueSpdxId('LicenseRef-', name, ids),
+      extractedText: licenseText,
+      name: trimmedLicense,
+    });
+  }
+
+  return {
+    licenseDeclared: extractedLicenses.get(licenseText).licenseId,
+  };
+}
+
+/**
+ * Generate the SPDX attribution texts of given dependency, i.e the content of each license file.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @return {Array<string>|undefined} The attribution texts.
+ */
+function spdxAttributionTexts(dependency) {
+  const licenseFiles = dependency.licenseFiles || [];
+  return licenseFiles.length > 0 ? licenseFiles.map((licenseFile) => licenseFile.content) : undefined;
+}
+
+/**
+ * Generate the SPDX copyright text of given dependency, i.e the copyright statements found in
+ * its license and notice texts.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @return {string} The copyright text.
+ */
+function spdxCopyrightText(dependency) {
+  const copyrights = dependency.copyrights || [];
+  return copyrights.length > 0 ? copyrights.map((copyright) => formatCopyright(copyright)).join(EOL) : NOASSERTION;
+}
+
+/**
+ * Generate the SPDX package of given dependency: file-level components (i.e vendored files)
+ * are exported as packages with a file name, and without package URL.
+ *
+ * @param {Dependency} dependency The dependency.
+ * @param {Map<string, Object>} extractedLicenses Extracted licensing info, indexed by license text.
+ * @param {Set<string>} ids The identifiers already used in the document.
+ * @return {Object} The SPDX package.
+ */
+function spdxPackage(dependency, extractedLicenses, ids) {
+  const { name, version } = dependency;
+  const spdxId = uniqueSpdxId('SPDXRef-Package-', version ? `${name}-${version}` : name, ids);
+  const { licenseDeclared, licenseComments } = spdxDeclaredLicense(dependency.license, dependency.licenseText, name, extractedLicenses, ids);
+  return {
+    name,
+    SPDXID: spdxId,
+    versionInfo: version || undefined,
+    packageFileName: dependency.file || undefined,
+    downloadLocation: NOASSERTION,
+    filesAnalyzed: false,
+    homepage: dependency.homepage || undefined,
+    licenseConcluded: dependency.inferredLicense || NOASSERTION,
+    licenseDeclared,
+    licenseComments,
+    copyrightText: spdxCopyrightText(dependency),
+    description: dependency.description || undefined,
+    attributionTexts: spdxAttributionTexts(dependency),
+    externalRefs: dependency.file ? undefined : [
+      {
+        referenceCategory: 'PACKAGE-MANAGER',
+        referenceType: 'purl',
+        referenceLocator: purl(name, version),
+      },
+    ],
+  };
+}
+
+/**
+ * Generate the SPDX package describing the bundle being built.
+ *
+ * @param {Object} pkg The project `package.json` content.
+ * @return {Object} The SPDX package.
+ */
+function spdxBundlePackage(pkg) {
+  const license = pkg.license ? pkg.license.trim() : '';
+  return {
+    name: pkg.name || 'bundle',
+    SPDXID: BUNDLE_SPDX_ID,
+    versionInfo: pkg.version || undefined,
+    downloadLocation: NOASSERTION,
+    filesAnalyzed: false,
+    licenseConcluded: NOASSERTION,
+    licenseDeclared: license && spdxExpressionValidate(license) ? license : NOASSERTION,
+    copyrightText: NOASSERTION,
+  };
+}
+
+/**
+ * Generate the SPDX 2.3 document describing the bundle and given dependencies.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies.
+ * @param {Object} pkg The project `package.json` content.
+ * @return {Object} The SPDX document.
+ */
+function spdxDocument(dependencies, pkg) {
+  const extractedLicenses = new Map();
+  const ids = new Set([BUNDLE_SPDX_ID]);
+  const bundle = spdxBundlePackage(pkg || {});
+  const packages = dependencies.map((dependency) => (
+    spdxPackage(dependency, extractedLicenses, ids)
+  ));
+
+  const relationships = [
+    {
+      spdxElementId: 'SPDXRef-DOCUMENT',
+      relationshipType: 'DESCRIBES',
+      relatedSpdxElement: BUNDLE_SPDX_ID,
+    },
+
+    ...packages.map((p) => ({
+      spdxElementId: BUNDLE_SPDX_ID,
+      relationshipType: 'CONTAINS',
+      relatedSpdxElement: p.SPDXID,
+    })),
+  ];
+
+  const hasExtractedLicensingInfos = [...extractedLicenses.values()];
+
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: bundle.name,
+    documentNamespace: `https://spdx.org/spdxdocs/${toIdString(bundle.name)}-${randomUuid()}`,
+    creationInfo: {
+      created: moment.utc().format('YYYY-MM-DDTHH:mm:ss[Z]'),
+      creators: [
+        `Tool: ${PLUGIN_NAME}`,
+      ],
+    },
+    packages: [bundle, ...packages],
+    relationships,
+    hasExtractedLicensingInfos: hasExtractedLicensingInfos.length > 0 ? hasExtractedLicensingInfos : undefined,
+  };
+}
+
+/**
+ * Format a tag-value line, free form text (or multi-line values) being wrapped in a `<text>` tag.
+ *
+ * @param {string} tag The tag.
+ * @param {*} value The value, ignored if `undefined`.
+ * @param {boolean} text `true` if value is a free form text.
+ * @return {Array<string>} The lines.
+ */
+function tagValue(tag, value, text = false) {
+  if (value === undefined) {
+    return [];
+  }
+
+  const str = String(value);
+  return [text || str.includes('\n') ? `${tag}: <text>${str}</text>` : `${tag}: ${str}`];
+}
+
+/**
+ * Format given dependencies as a SPDX 2.3 JSON document.
+ *
+ * @see https://spdx.github.io/spdx-spec/v2.3/
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.pkg The project `package.json` content.
+ * @return {string} The JSON document.
+ */
+export function formatSpdxJson(dependencies, { pkg }) {
+  return JSON.stringify(spdxDocument(dependencies, pkg), null, 2);
+}
+
+/**
+ * Format given dependencies as a SPDX 2.3 tag-value document.
+ *
+ * @see https://spdx.github.io/spdx-spec/v2.3/
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.pkg The project `package.json` content.
+ * @return {string} The tag-value document.
+ */
+export function formatSpdxTagValue(dependencies, { pkg }) {
+  const doc = spdxDocument(dependencies, pkg);
+  const sections = [];
+
+  sections.push([
+    ...tagValue('SPDXVersion', doc.spdxVersion),
+    ...tagValue('DataLicense', doc.dataLicense),
+    ...tagValue('SPDXID', doc.SPDXID),
+    ...tagValue('DocumentName', doc.name),
+    ...tagValue('DocumentNamespace', doc.documentNamespace),
+    ...doc.creationInfo.creators.flatMap((creator) => tagValue('Creator', creator)),
+    ...tagValue('Created', doc.creationInfo.created),
+  ]);
+
+  doc.packages.forEach((p) => {
+    sections.push([
+      ...tagValue('PackageName', p.name),
+      ...tagValue('SPDXID', p.SPDXID),
+      ...tagValue('PackageVersion', p.versionInfo),
+      ...tagValue('PackageFileName', p.packageFileName),
+      ...tagValue('PackageDownloadLocation', p.downloadLocation),
+      ...tagValue('FilesAnalyzed', p.filesAnalyzed),
+      ...tagValue('PackageHomePage', p.homepage),
+      ...tagValue('PackageLicenseConcluded', p.licenseConcluded),
+      ...tagValue('PackageLicenseDeclared', p.licenseDeclared),
+      ...tagValue('PackageLicenseComments', p.licenseComments, true),
+      ...tagValue('PackageCopyrightText', p.copyrightText),
+      ...tagValue('PackageDescription', p.description, true),
+      ...(p.attributionTexts || []).flatMap((text) => tagValue('PackageAttributionText', text, true)),
+      ...(p.externalRefs || []).flatMap((ref) => (
+        tagValue('ExternalRef', `${ref.referenceCategory} ${ref.referenceType} ${ref.referenceLocator}`)
+      )),
+    ]);
+  });
+
+  sections.push(doc.relationships.flatMap((r) => (
+    tagValue('Relationship', `${r.spdxElementId} ${r.relationshipType} ${r.relatedSpdxElement}`)
+  )));
+
+  (doc.hasExtractedLicensingInfos || []).forEach((info) => {
+    sections.push([
+      ...tagValue('LicenseID', info.licenseId),
+      ...tagValue('ExtractedText', info.extractedText, true),
+      ...tagValue('LicenseName', info.name),
+    ]);
+  });
+
+  return sections.map((lines) => lines.join(EOL)).join(`${EOL}${EOL}`);
+}
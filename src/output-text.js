@@ -0,0 +1,112 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { EOL } from './eol';
+import { licenseTextKey, normalizeLicenseText } from './license-text';
+import { packageName } from './package-name';
+
+/**
+ * The separator between two sections of the text report.
+ *
+ * @type {string}
+ */
+const SEPARATOR = `${EOL}${EOL}---${EOL}${EOL}`;
+
+/**
+ * Group dependencies by license text, each group containing a distinct license text and the
+ * dependencies it applies to, in order of appearance.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies.
+ * @return {Array<Object>} The groups.
+ */
+function groupByLicenseText(dependencies) {
+  const groups = new Map();
+
+  dependencies.forEach((dependency) => {
+    const texts = dependency.licenseFiles.length > 1 ? (
+      dependency.licenseFiles.map((licenseFile) => licenseFile.content)
+    ) : (
+      [dependency.licenseText]
+    );
+
+    texts.filter((text) => text).map((text) => normalizeLicenseText(text)).filter((text) => text).forEach((text) => {
+      const key = licenseTextKey(text);
+      if (!groups.has(key)) {
+        groups.set(key, { text, dependencies: [] });
+      }
+
+      const group = groups.get(key);
+      if (!group.dependencies.includes(dependency)) {
+        group.dependencies.push(dependency);
+      }
+    });
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Format given license text group: the license text, preceded by the dependencies it applies to.
+ *
+ * @param {Object} group The group.
+ * @return {string} The license text section.
+ */
+function formatLicenseTextGroup(group) {
+  const lines = [];
+
+  lines.push('License Text used by:');
+  lines.push(
+    ...group.dependencies.map((d) => `  ${packageName(d)}`),
+  );
+  lines.push('===');
+  lines.push('');
+  lines.push(group.text);
+
+  return lines.join(EOL);
+}
+
+/**
+ * Format given dependencies as the default text report: with the `deduplicateLicenseTexts`
+ * option, license texts are not printed for each dependency but once per distinct license
+ * text, after the dependencies.
+ *
+ * @param {Array<Dependency>} dependencies The dependencies to format.
+ * @param {Object} context The output context.
+ * @param {Object} context.options The format options.
+ * @return {string} The text report.
+ */
+export function formatText(dependencies, { options = {} } = {}) {
+  if (dependencies.length === 0) {
+    return 'No third parties dependencies';
+  }
+
+  if (!options.deduplicateLicenseTexts) {
+    return dependencies.map((d) => d.text()).join(SEPARATOR);
+  }
+
+  return [
+    ...dependencies.map((d) => d.text({ licenseText: false })),
+    ...groupByLicenseText(dependencies).map((group) => formatLicenseTextGroup(group)),
+  ].join(SEPARATOR);
+}
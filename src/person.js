@@ -73,6 +73,19 @@ export class Person {
     this.url = result.url || null;
   }
 
+  /**
+   * Serialize the person to a plain object, with `name`, `email` and `url` entries.
+   *
+   * @return {Object} The JSON representation of the person.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      email: this.email,
+      url: this.url,
+    };
+  }
+
   /**
    * Serialize the person to a string with the following format:
    *   NAME <EMAIL> (URL)
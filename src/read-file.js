@@ -28,39 +28,82 @@ import _ from 'lodash';
 import { fdir } from 'fdir';
 
 /**
- * Find file and returns its content if file exists.
+ * Find files matching given name (i.e files starting with given name, case insensitively).
+ *
+ * @param {string} dir File directory.
+ * @param {string} input Potential filename.
+ * @returns {Array<string>} The matching files, relative to given directory.
+ */
+function findFiles(dir, input) {
+  const absolutePath = path.join(dir, input);
+  const relativeToDir = path.relative(dir, absolutePath);
+
+  // eslint-disable-next-line new-cap
+  return new fdir()
+    .withRelativePaths()
+    .withSymlinks()
+    .withMaxDepth(input.split(path.sep).length)
+    .filter(pathsMatch(relativeToDir))
+    .crawl(dir)
+    .sync();
+}
+
+/**
+ * Find the first file matching given names.
  *
  * @param {string} dir File directory.
  * @param {string|Array<string>} names Potential filenames.
- * @returns {string|null} File content, or `null` if file does not exist.
+ * @returns {string|null} File path, or `null` if file does not exist.
  */
-export function readFile(dir, names) {
+export function findFile(dir, names) {
   const inputs = _.castArray(names);
 
   for (let i = 0; i < inputs.length; ++i) {
-    const input = inputs[i];
-    const absolutePath = path.join(dir, input);
-    const relativeToDir = path.relative(dir, absolutePath);
-
-    // eslint-disable-next-line new-cap
-    const findings = new fdir()
-      .withRelativePaths()
-      .withSymlinks()
-      .withMaxDepth(input.split(path.sep).length)
-      .filter(pathsMatch(relativeToDir))
-      .crawl(dir)
-      .sync();
-
+    const findings = findFiles(dir, inputs[i]);
     const firstPath = findings[0];
     if (firstPath) {
-      const file = path.join(dir, firstPath);
-      return fs.readFileSync(file, 'utf-8');
+      return path.join(dir, firstPath);
     }
   }
 
   return null;
 }
 
+/**
+ * Find file and returns its content if file exists.
+ *
+ * @param {string} dir File directory.
+ * @param {string|Array<string>} names Potential filenames.
+ * @returns {string|null} File content, or `null` if file does not exist.
+ */
+export function readFile(dir, names) {
+  const file = findFile(dir, names);
+  return file ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+/**
+ * Find all files matching given names and returns their content (i.e all license files of a
+ * dual-licensed package, such as `LICENSE-MIT` and `LICENSE-APACHE`).
+ *
+ * Files are returned in the order of given names, then sorted by file name: empty files are ignored.
+ *
+ * @param {string} dir File directory.
+ * @param {string|Array<string>} names Potential filenames.
+ * @returns {Array<Object>} The files, with file `name` (relative to given directory) and `content`.
+ */
+export function readFiles(dir, names) {
+  const files = _.castArray(names).flatMap((input) => (
+    findFiles(dir, input).sort()
+  ));
+
+  return _.uniq(files)
+    .map((name) => ({
+      name,
+      content: fs.readFileSync(path.join(dir, name), 'utf-8'),
+    }))
+    .filter(({ content }) => content.trim() !== '');
+}
+
 /**
  * Returns a predicate function that returns `true` if the given path matches the target path.
  *
@@ -0,0 +1,105 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parse, tokenizer } from 'acorn';
+
+/**
+ * The parser options: source code is parsed as permissively as possible, since it may be a module
+ * or a script.
+ *
+ * @type {Object}
+ */
+const PARSER_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowImportExportEverywhere: true,
+};
+
+/**
+ * Convert given comments found by the parser: the hashbang (i.e `#!/usr/bin/env node`) is not
+ * considered as a comment.
+ *
+ * @param {string} code The source code.
+ * @param {Array<Object>} comments The comments found by the parser.
+ * @return {Array<Object>} The comments, with `start` and `end` offsets, and `block` flag.
+ */
+function toComments(code, comments) {
+  return comments
+    .filter(({ start }) => start > 0 || !code.startsWith('#!'))
+    .map(({ type, start, end }) => ({ start, end, block: type === 'Block' }));
+}
+
+/**
+ * Find the comments of given source code: the source code is parsed as a module, or as a script
+ * if it is not a valid module (i.e non-strict code).
+ *
+ * @param {string} code The source code.
+ * @return {Array<Object>|null} The comments, with `start` and `end` offsets, and `block` flag, `null` if
+ *                              the source code cannot be parsed (i.e it is not plain JavaScript).
+ */
+export function findComments(code) {
+  const sourceTypes = ['module', 'script'];
+  for (let i = 0; i < sourceTypes.length; ++i) {
+    const comments = [];
+
+    try {
+      parse(code, {
+        ...PARSER_OPTIONS,
+        sourceType: sourceTypes[i],
+        onComment: comments,
+      });
+
+      return toComments(code, comments);
+    } catch (e) {
+      // Try next source type.
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the leading comments of given source code, i.e the comments before the first token: the source code
+ * does not need to be valid, since it is not parsed beyond the first token.
+ *
+ * @param {string} code The source code.
+ * @return {Array<Object>} The comments, with `start` and `end` offsets, and `block` flag.
+ */
+export function findLeadingComments(code) {
+  const comments = [];
+
+  try {
+    tokenizer(code, {
+      ...PARSER_OPTIONS,
+      sourceType: 'module',
+      onComment: comments,
+    }).getToken();
+  } catch (e) {
+    // The first token is not valid, but the comments before it have been found.
+  }
+
+  return toComments(code, comments);
+}
@@ -0,0 +1,40 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { anchorId } from '../src/anchor-id';
+
+describe('anchorId', () => {
+  it('should generate anchor from given text', () => {
+    expect(anchorId('package', '@Scope/Foo@1.0.0', new Set())).toBe('package--scope-foo-1.0.0');
+  });
+
+  it('should generate unique anchors', () => {
+    const ids = new Set();
+
+    expect(anchorId('package', '@foo/bar-baz@1.0.0', ids)).toBe('package--foo-bar-baz-1.0.0');
+    expect(anchorId('package', '@foo-bar/baz@1.0.0', ids)).toBe('package--foo-bar-baz-1.0.0-2');
+    expect(anchorId('package', '@foo-bar-baz@1.0.0', ids)).toBe('package--foo-bar-baz-1.0.0-3');
+    expect(ids.size).toBe(3);
+  });
+});
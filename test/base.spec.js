@@ -45,6 +45,9 @@ function normalizeDependencyObject(input) {
   if (output.licenseText) {
     output.licenseText = output.licenseText.trim();
   }
+  if (output.licenseFiles) {
+    output.licenseFiles = output.licenseFiles.map((o) => ({ ...o, content: o.content.trim() }));
+  }
   if (output.noticeText) {
     output.noticeText = output.noticeText.trim();
   }
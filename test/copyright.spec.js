@@ -0,0 +1,118 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parseCopyrights, stripCopyrights, formatCopyright } from '../src/copyright';
+import { join } from './utils/join';
+
+describe('parseCopyrights', () => {
+  it('should parse copyright statement with years and holder', () => {
+    const text = join([
+      'The MIT License (MIT)',
+      '',
+      'Copyright (c) 2016-2024 Mickael Jeanroy',
+    ]);
+
+    expect(parseCopyrights([text])).toEqual([
+      { years: '2016-2024', holder: 'Mickael Jeanroy' },
+    ]);
+  });
+
+  it('should parse copyright statements with different formats', () => {
+    const text = join([
+      ' * Copyright 2010, 2012 - 2014 Foo Inc.',
+      '(c) 2020 Bar',
+      'Copyright © Baz',
+      'Copyright (C) 2019 Jane Doe <jane@doe.com>. All rights reserved.',
+      'Copyright John Doe 2018',
+      'Copyright OpenJS Foundation and other contributors <https://openjsf.org/>',
+    ]);
+
+    expect(parseCopyrights([text])).toEqual([
+      { years: '2010, 2012-2014', holder: 'Foo Inc.' },
+      { years: '2020', holder: 'Bar' },
+      { years: null, holder: 'Baz' },
+      { years: '2019', holder: 'Jane Doe <jane@doe.com>' },
+      { years: '2018', holder: 'John Doe' },
+      { years: null, holder: 'OpenJS Foundation and other contributors <https://openjsf.org/>' },
+    ]);
+  });
+
+  it('should ignore mentions of copyright in license texts', () => {
+    const text = join([
+      'Copyright (c) <year> <copyright holders>',
+      'Copyright [yyyy] [name of copyright owner]',
+      'copyright notice and this permission notice shall be included in all',
+      'COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER',
+      '(c) You must retain, in the Source form of any Derivative Works',
+    ]);
+
+    expect(parseCopyrights([text])).toEqual([]);
+  });
+
+  it('should parse copyright statements of all texts only once', () => {
+    const licenseText = 'Copyright (c) 2019 Jane Doe';
+    const noticeText = join([
+      'Copyright (c) 2019 Jane Doe',
+      'Copyright (c) 2020 John Doe',
+    ]);
+
+    expect(parseCopyrights([licenseText, null, noticeText])).toEqual([
+      { years: '2019', holder: 'Jane Doe' },
+      { years: '2020', holder: 'John Doe' },
+    ]);
+  });
+});
+
+describe('stripCopyrights', () => {
+  it('should remove copyright statements', () => {
+    const text = join([
+      'Copyright (c) 2019 Jane Doe',
+      'Permission is hereby granted, free of charge...',
+    ]);
+
+    expect(stripCopyrights(text)).toEqual(join([
+      '',
+      'Permission is hereby granted, free of charge...',
+    ]));
+  });
+
+  it('should keep mentions of copyright in license texts', () => {
+    const text = join([
+      'Copyright (c) <year> <copyright holders>',
+      'copyright notice and this permission notice shall be included in all',
+    ]);
+
+    expect(stripCopyrights(text)).toEqual(text);
+  });
+});
+
+describe('formatCopyright', () => {
+  it('should format copyright with years', () => {
+    expect(formatCopyright({ years: '2019', holder: 'Jane Doe' })).toBe('Copyright (c) 2019 Jane Doe');
+  });
+
+  it('should format copyright without years', () => {
+    expect(formatCopyright({ years: null, holder: 'Jane Doe' })).toBe('Copyright (c) Jane Doe');
+  });
+});
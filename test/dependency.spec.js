@@ -61,7 +61,15 @@ describe('Dependency', () => {
       version: '1.0.0',
       license: 'MIT',
       licenseText: null,
+      licenseFiles: [],
       noticeText: null,
+      copyrights: [],
+      integrity: null,
+      path: null,
+      file: null,
+      modules: [],
+      originalLicense: null,
+      inferredLicense: null,
       description: 'Desc',
       private: false,
       homepage: 'https://github.com/mjeanroy',
@@ -167,6 +175,25 @@ describe('Dependency', () => {
     ]));
   });
 
+  it('should format dependency with inferred license', () => {
+    const self = false;
+    const pkg = {
+      name: 'foo',
+      version: '1.0.0',
+      inferredLicense: 'MIT',
+    };
+
+    const dependency = new Dependency(pkg, self);
+
+    expect(dependency.text()).toEqual(join([
+      `Name: ${pkg.name}`,
+      `Version: ${pkg.version}`,
+      'License: null',
+      'Inferred License: MIT',
+      'Private: false',
+    ]));
+  });
+
   it('should format dependency with optional description fied', () => {
     const self = false;
     const pkg = {
@@ -233,6 +260,72 @@ describe('Dependency', () => {
     ]));
   });
 
+  it('should add bundled modules once', () => {
+    const dependency = new Dependency({ name: 'foo', version: '1.0.0' });
+
+    dependency.addModule('node_modules/foo/index.js');
+    dependency.addModule('node_modules/foo/lib/bar.js');
+    dependency.addModule('node_modules/foo/index.js');
+
+    expect(dependency.modules).toEqual([
+      'node_modules/foo/index.js',
+      'node_modules/foo/lib/bar.js',
+    ]);
+  });
+
+  it('should serialize dependency to JSON', () => {
+    const dependency = new Dependency({
+      name: 'foo',
+      version: '1.0.0',
+      license: 'MIT',
+      licenseText: 'MIT License',
+      private: true,
+      homepage: 'https://github.com/mjeanroy',
+      repository: {
+        type: 'GIT',
+        url: 'git@github.com/mjeanroy',
+      },
+      author: 'Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+      contributors: ['John Doe'],
+      path: '/tmp/node_modules/foo',
+    });
+
+    dependency.addModule('node_modules/foo/index.js');
+
+    expect(JSON.parse(JSON.stringify(dependency))).toEqual({
+      name: 'foo',
+      version: '1.0.0',
+      license: 'MIT',
+      inferredLicense: null,
+      licenseText: 'MIT License',
+      licenseFiles: [],
+      noticeText: null,
+      copyrights: [],
+      author: {
+        name: 'Mickael Jeanroy',
+        email: 'mickael.jeanroy@gmail.com',
+        url: null,
+      },
+      contributors: [
+        { name: 'John Doe', email: null, url: null },
+      ],
+      repository: 'git@github.com/mjeanroy',
+      homepage: 'https://github.com/mjeanroy',
+      path: '/tmp/node_modules/foo',
+      file: null,
+      modules: ['node_modules/foo/index.js'],
+    });
+  });
+
+  it('should correct license and keep original license', () => {
+    const dependency = new Dependency({ name: 'foo', version: '1.0.0', license: 'Apache 2.0' });
+
+    dependency.correctLicense('Apache-2.0');
+
+    expect(dependency.license).toBe('Apache-2.0');
+    expect(dependency.originalLicense).toBe('Apache 2.0');
+  });
+
   it('should format dependency with optional homepage field', () => {
     const self = false;
     const pkg = {
@@ -360,6 +453,100 @@ describe('Dependency', () => {
     ]));
   });
 
+  it('should extract copyrights from license and notice texts', () => {
+    const dependency = new Dependency({
+      name: 'foo',
+      version: '1.0.0',
+      license: 'MIT',
+      licenseText: join(['The MIT License (MIT)', '', 'Copyright (c) 2019 Jane Doe']),
+      noticeText: join(['Foo', 'Copyright 2020 John Doe']),
+    });
+
+    expect(dependency.copyrights).toEqual([
+      { years: '2019', holder: 'Jane Doe' },
+      { years: '2020', holder: 'John Doe' },
+    ]);
+
+    expect(dependency.text()).toEqual(join([
+      'Name: foo',
+      'Version: 1.0.0',
+      'License: MIT',
+      'Private: false',
+      'Copyrights:',
+      '  Copyright (c) 2019 Jane Doe',
+      '  Copyright (c) 2020 John Doe',
+      'License Text:',
+      '===',
+      '',
+      'The MIT License (MIT)',
+      '',
+      'Copyright (c) 2019 Jane Doe',
+      '',
+      'Notice:',
+      '===',
+      '',
+      'Foo',
+      'Copyright 2020 John Doe',
+    ]));
+  });
+
+  it('should format dependency with multiple license files', () => {
+    const self = false;
+    const pkg = {
+      name: 'foo',
+      version: '1.0.0',
+      license: '(MIT OR Apache-2.0)',
+      licenseText: 'Apache License, Version 2.0',
+      licenseFiles: [
+        { name: 'LICENSE-APACHE', content: 'Apache License, Version 2.0' },
+        { name: 'LICENSE-MIT', content: 'The MIT License (MIT)' },
+      ],
+    };
+
+    const dependency = new Dependency(pkg, self);
+
+    expect(dependency.text()).toEqual(join([
+      `Name: ${pkg.name}`,
+      `Version: ${pkg.version}`,
+      `License: ${pkg.license}`,
+      'Private: false',
+      'License Text (LICENSE-APACHE):',
+      '===',
+      '',
+      'Apache License, Version 2.0',
+      '',
+      'License Text (LICENSE-MIT):',
+      '===',
+      '',
+      'The MIT License (MIT)',
+    ]));
+  });
+
+  it('should format dependency without license texts', () => {
+    const self = false;
+    const pkg = {
+      name: 'foo',
+      version: '1.0.0',
+      license: 'MIT',
+      licenseText: 'The MIT License (MIT)',
+      licenseFiles: [],
+      noticeText: 'Software libraries under third_party',
+    };
+
+    const dependency = new Dependency(pkg, self);
+
+    expect(dependency.text({ licenseText: false })).toEqual(join([
+      `Name: ${pkg.name}`,
+      `Version: ${pkg.version}`,
+      `License: ${pkg.license}`,
+      'Private: false',
+      'Notice:',
+      '===',
+      '',
+      'Software libraries under third_party',
+    ]));
+  });
+
   it('should format dependency with notice text', () => {
     const self = false;
     const pkg = {
@@ -367,6 +554,7 @@ describe('Dependency', () => {
       version: '1.0.0',
       license: 'MIT',
       licenseText: 'The MIT License (MIT) -- Copyright (c) Mickael Jeanroy',
+      licenseFiles: [],
       noticeText: 'Software libraries under third_party',
       description: 'Desc',
       homepage: 'https://github.com/mjeanroy',
@@ -0,0 +1,55 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { formatFileName } from '../src/format-file-name';
+
+describe('formatFileName', () => {
+  it('should replace placeholders', () => {
+    const fileName = formatFileName('dist/[format]/dependencies.txt', {
+      format: 'es',
+    });
+
+    expect(fileName).toBe('dist/es/dependencies.txt');
+  });
+
+  it('should keep placeholders without values', () => {
+    const fileName = formatFileName('dist/[format]/[name].txt', {
+      format: undefined,
+    });
+
+    expect(fileName).toBe('dist/[format]/[name].txt');
+  });
+
+  it('should return file name without placeholders', () => {
+    const fileName = formatFileName('dist/dependencies.txt', {
+      format: 'es',
+    });
+
+    expect(fileName).toBe('dist/dependencies.txt');
+  });
+
+  it('should return nil file name', () => {
+    expect(formatFileName(undefined, {})).toBeUndefined();
+  });
+});
@@ -24,6 +24,7 @@
 
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
 import tmp from 'tmp';
 import rollupPluginLicense from '../src/index';
 import { join } from './utils/join';
@@ -78,6 +79,36 @@ describe('rollup-plugin-license', () => {
     expect(content).toContain('fake-package');
   });
 
+  it('should prepend banner with chunk data when chunk is rendered', () => {
+    const instance = rollupPluginLicense({
+      banner: '<%= chunk.name %> -- <%= chunk.fileName %> -- <%= chunk.format %> -- <%= _.map(chunkDependencies, "name") %>',
+    });
+
+    const moduleId = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+    const modules = {
+      [moduleId]: {
+        renderedExports: [],
+        removedExports: [],
+        renderedLength: 10,
+        originalLength: 100,
+      },
+    };
+
+    const code = 'var foo = 0;';
+    const chunk = {
+      code,
+      modules,
+      name: 'main',
+      fileName: 'main.js',
+      isEntry: true,
+      facadeModuleId: moduleId,
+    };
+
+    const result = instance.renderChunk(code, chunk, { format: 'es' });
+
+    expect(result.code).toContain('main -- main.js -- es -- fake-package');
+  });
+
   it('should scan dependencies when chunk is rendered and skip tree-shaken modules', async () => {
     const thirdPartyOutput = path.join(tmpDir.name, 'dependencies.txt');
     const instance = rollupPluginLicense({
@@ -120,6 +151,176 @@ describe('rollup-plugin-license', () => {
     expect(content).not.toContain('lodash');
   });
 
+  it('should scan license headers when module is parsed', () => {
+    const instance = rollupPluginLicense({
+      thirdParty: {
+        licenseHeaders: true,
+        output: path.join(tmpDir.name, 'dependencies.txt'),
+      },
+    });
+
+    const moduleId = path.join(__dirname, 'integration', 'vendor', 'mean.js');
+    const code = '// SPDX-License-Identifier: BSD-3-Clause';
+    const chunk = {
+      code,
+      modules: {
+        [moduleId]: {
+          renderedExports: [],
+          removedExports: [],
+          renderedLength: 10,
+          originalLength: 100,
+        },
+      },
+    };
+
+    instance.moduleParsed({ id: moduleId, code });
+    const result = instance.renderChunk(code, chunk, {});
+
+    expect(result.code).toBe(code);
+    expect(fsSync.existsSync(path.join(tmpDir.name, 'dependencies.txt'))).toBe(false);
+
+    instance.generateBundle();
+
+    const content = fsSync.readFileSync(path.join(tmpDir.name, 'dependencies.txt'), 'utf-8');
+    expect(content).toContain('Name: test/integration/vendor/mean.js');
+    expect(content).toContain('License: BSD-3-Clause');
+  });
+
+  it('should reset scanned dependencies when build starts', async () => {
+    const thirdPartyOutput = path.join(tmpDir.name, 'dependencies.txt');
+    const instance = rollupPluginLicense({
+      thirdParty: {
+        includePrivate: true,
+        output: thirdPartyOutput,
+      },
+    });
+
+    const context = jasmine.createSpyObj('context', ['addWatchFile']);
+    const moduleId = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+    const modules = {
+      [moduleId]: {
+        renderedExports: [],
+        removedExports: [],
+        renderedLength: 10,
+        originalLength: 100,
+      },
+    };
+
+    const code = 'var foo = 0;';
+    const outputOptions = {};
+
+    instance.buildStart.call(context);
+    instance.renderChunk(code, { code, modules }, outputOptions);
+    instance.generateBundle();
+
+    const firstOutput = await fs.readFile(thirdPartyOutput, 'utf8');
+    expect(firstOutput.toString()).toContain('fake-package');
+
+    instance.buildStart.call(context);
+    instance.renderChunk(code, { code, modules: {} }, outputOptions);
+    instance.generateBundle();
+
+    const secondOutput = await fs.readFile(thirdPartyOutput, 'utf8');
+    expect(secondOutput.toString()).toBe('No third parties dependencies');
+
+    expect(context.addWatchFile).toHaveBeenCalledWith(
+      path.join(__dirname, 'fixtures', 'fake-package-1', 'package.json'),
+    );
+  });
+
+  it('should not watch files once the build has finished', () => {
+    const instance = rollupPluginLicense({
+      banner: 'hello',
+    });
+
+    // Rollup < 4 fails when a file is watched once the build has finished.
+    const context = jasmine.createSpyObj('context', ['addWatchFile']);
+    const pkgPath = path.join(__dirname, 'fixtures', 'fake-package-1', 'package.json');
+    const moduleId = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+    const modules = {
+      [moduleId]: {
+        renderedExports: [],
+        removedExports: [],
+        renderedLength: 10,
+        originalLength: 100,
+      },
+    };
+
+    const code = 'var foo = 0;';
+
+    instance.buildStart.call(context);
+    instance.buildEnd.call(context);
+
+    context.addWatchFile.and.throwError(new Error('Cannot call addWatchFile after the build has finished.'));
+    expect(() => instance.renderChunk.call(context, code, { code, modules }, {})).not.toThrow();
+    expect(context.addWatchFile).not.toHaveBeenCalledWith(pkgPath);
+
+    context.addWatchFile.and.stub();
+    instance.buildStart.call(context);
+    expect(context.addWatchFile).toHaveBeenCalledWith(pkgPath);
+  });
+
+  it('should scan dependency again when a watched file is updated', () => {
+    const instance = rollupPluginLicense();
+    const pkgPath = path.join(__dirname, 'fixtures', 'fake-package-1', 'package.json');
+    const moduleId = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+    const modules = {
+      [moduleId]: {
+        renderedExports: [],
+        removedExports: [],
+        renderedLength: 10,
+        originalLength: 100,
+      },
+    };
+
+    const code = 'var foo = 0;';
+    const chunk = { code, modules };
+    const readFileSync = spyOn(fsSync, 'readFileSync').and.callThrough();
+
+    instance.renderChunk(code, chunk, {});
+    instance.renderChunk(code, chunk, {});
+    expect(readFileSync.calls.allArgs().filter((args) => args[0] === pkgPath).length).toBe(1);
+
+    instance.watchChange(pkgPath);
+    instance.renderChunk(code, chunk, {});
+    expect(readFileSync.calls.allArgs().filter((args) => args[0] === pkgPath).length).toBe(2);
+  });
+
+  it('should generate one report per output', async () => {
+    const instance = rollupPluginLicense({
+      thirdParty: {
+        includePrivate: true,
+        output: path.join(tmpDir.name, '[format]', 'dependencies.txt'),
+      },
+    });
+
+    const moduleId1 = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+    const moduleId2 = path.join(__dirname, '..', 'node_modules', 'lodash', 'index.js');
+    const renderedModule = {
+      renderedExports: [],
+      removedExports: [],
+      renderedLength: 10,
+      originalLength: 100,
+    };
+
+    const code = 'var foo = 0;';
+    const esOutputOptions = { format: 'es' };
+    const cjsOutputOptions = { format: 'cjs' };
+
+    instance.renderChunk(code, { code, modules: { [moduleId1]: renderedModule } }, esOutputOptions);
+    instance.renderChunk(code, { code, modules: { [moduleId2]: renderedModule } }, cjsOutputOptions);
+    instance.generateBundle(esOutputOptions);
+    instance.generateBundle(cjsOutputOptions);
+
+    const esOutput = await fs.readFile(path.join(tmpDir.name, 'es', 'dependencies.txt'), 'utf8');
+    expect(esOutput.toString()).toContain('fake-package');
+    expect(esOutput.toString()).not.toContain('lodash');
+
+    const cjsOutput = await fs.readFile(path.join(tmpDir.name, 'cjs', 'dependencies.txt'), 'utf8');
+    expect(cjsOutput.toString()).not.toContain('fake-package');
+    expect(cjsOutput.toString()).toContain('lodash');
+  });
+
   it('should prepend banner when bundle is transformed', () => {
     const banner = 'test banner';
     const instance = rollupPluginLicense({
@@ -103,6 +103,49 @@ describe('[it] rollup-plugin-license', () => {
     });
   });
 
+  it('should generate bundle with dependency output using the JSON format', async () => {
+    const thirdPartyOutput = path.join(tmpDir.name, 'dependencies.json');
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        output: {
+          file: thirdPartyOutput,
+          format: 'json',
+        },
+      },
+    });
+
+    await writeBundle(rollupConfig);
+    await verifyFile(thirdPartyOutput, (data) => {
+      const json = JSON.parse(data);
+      expect(json.schemaVersion).toBe(1);
+      expect(json.dependencies.length).toBe(1);
+      expect(json.dependencies[0].name).toBe('lodash');
+      expect(json.dependencies[0].license).toBe('MIT');
+      expect(json.dependencies[0].modules.length).toBe(1);
+      expect(json.dependencies[0].modules[0]).toMatch(/node_modules\/lodash\/lodash\.js$/);
+    });
+  });
+
+  it('should generate bundle with dependency output using the CSV format', async () => {
+    const thirdPartyOutput = path.join(tmpDir.name, 'dependencies.csv');
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        output: {
+          file: thirdPartyOutput,
+          format: 'csv',
+          formatOptions: {
+            columns: ['name', 'license', 'chunks'],
+          },
+        },
+      },
+    });
+
+    await writeBundle(rollupConfig);
+    await verifyFile(thirdPartyOutput, (data) => {
+      expect(data).toEqual('name,license,chunks\r\nlodash,MIT,bundle.js');
+    });
+  });
+
   it('should generate bundle with dependency output as a JSON & a text file', async () => {
     const jsonOutput = path.join(tmpDir.name, 'dependencies.json');
     const txtOutput = path.join(tmpDir.name, 'dependencies.json');
@@ -137,6 +180,288 @@ describe('[it] rollup-plugin-license', () => {
     });
   });
 
+  it('should generate bundle with dependency output emitted as an asset', async () => {
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        output: {
+          fileName: 'dependencies.txt',
+        },
+      },
+    });
+
+    const bundle = await rollup.rollup(rollupConfig);
+    const { output } = await bundle.generate(rollupConfig.output);
+    const asset = output.find((o) => o.fileName === 'dependencies.txt');
+
+    expect(asset).toBeDefined();
+    expect(asset.type).toBe('asset');
+    expect(asset.source).toContain('lodash');
+  });
+
+  it('should write dependency output emitted as an asset in output directory', async () => {
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        output: {
+          fileName: 'licenses/dependencies.txt',
+        },
+      },
+    });
+
+    await writeBundle(rollupConfig);
+    await verifyFile(path.join(tmpDir.name, 'licenses', 'dependencies.txt'), (data) => {
+      expect(data).toContain('lodash');
+    });
+  });
+
+  it('should generate one dependency output per bundle output', async () => {
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        output: {
+          fileName: 'dependencies.[format].txt',
+        },
+      },
+    });
+
+    const bundle = await rollup.rollup(rollupConfig);
+    await Promise.all(['es', 'cjs'].map((format) => (
+      bundle.write({
+        format,
+        dir: tmpDir.name,
+        entryFileNames: `bundle.${format}.js`,
+      })
+    )));
+
+    await verifyFile(path.join(tmpDir.name, 'dependencies.es.txt'), (data) => {
+      expect(data).toContain('lodash');
+    });
+
+    await verifyFile(path.join(tmpDir.name, 'dependencies.cjs.txt'), (data) => {
+      expect(data).toContain('lodash');
+    });
+  });
+
+  it('should generate one dependency output per chunk', async () => {
+    const rollupConfig = {
+      input: {
+        main: path.join(__dirname, 'bundle.js'),
+        other: 'other',
+      },
+
+      output: {
+        dir: tmpDir.name,
+        format: 'es',
+      },
+
+      plugins: [
+        virtual({
+          other: `
+            export const other = 'other';
+          `,
+        }),
+        nodeResolve(),
+        commonjs(),
+        licensePlugin({
+          thirdParty: {
+            output: {
+              perChunk: true,
+              fileName: '[name].LICENSE.txt',
+              index: 'licenses.json',
+            },
+          },
+        }),
+      ],
+    };
+
+    await writeBundle(rollupConfig);
+
+    await verifyFile(path.join(tmpDir.name, 'main.LICENSE.txt'), (data) => {
+      expect(data).toContain('lodash');
+    });
+
+    await verifyFile(path.join(tmpDir.name, 'other.LICENSE.txt'), (data) => {
+      expect(data).toBe('No third parties dependencies');
+    });
+
+    await verifyFile(path.join(tmpDir.name, 'licenses.json'), (data) => {
+      const index = JSON.parse(data);
+      expect(Object.keys(index).sort()).toEqual(['main.js', 'other.js']);
+      expect(index['main.js']).toEqual([
+        jasmine.objectContaining({ name: 'lodash', license: 'MIT' }),
+      ]);
+      expect(index['other.js']).toEqual([]);
+    });
+  });
+
+  it('should report license violations as rollup warnings', async () => {
+    const onwarn = jasmine.createSpy('onwarn');
+    const rollupConfig = {
+      ...createRollupConfig({
+        thirdParty: {
+          allow: 'Apache-2.0',
+        },
+      }),
+
+      onwarn,
+    };
+
+    await writeBundle(rollupConfig);
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(onwarn).toHaveBeenCalledWith(jasmine.objectContaining({
+      code: 'PLUGIN_WARNING',
+      plugin: 'rollup-plugin-license',
+      pluginCode: 'LICENSE_VIOLATION',
+      meta: {
+        dependency: jasmine.objectContaining({ name: 'lodash' }),
+      },
+    }), jasmine.any(Function));
+  });
+
+  it('should fail on license violations with a rollup error', async () => {
+    const rollupConfig = createRollupConfig({
+      thirdParty: {
+        allow: {
+          test: 'Apache-2.0',
+          failOnViolation: true,
+        },
+      },
+    });
+
+    await expectAsync(writeBundle(rollupConfig)).toBeRejectedWith(jasmine.objectContaining({
+      code: 'PLUGIN_ERROR',
+      plugin: 'rollup-plugin-license',
+      pluginCode: 'LICENSE_VIOLATION',
+    }));
+  });
+
+  it('should report vendored files with license header as file-level components', async () => {
+    const thirdPartyOutput = jasmine.createSpy('thirdPartyOutput');
+    const onwarn = jasmine.createSpy('onwarn');
+    const rollupConfig = {
+      ...createRollupConfig({
+        thirdParty: {
+          licenseHeaders: true,
+          allow: 'MIT',
+          output: thirdPartyOutput,
+        },
+      }),
+
+      input: path.join(__dirname, 'bundle-vendor.js'),
+      onwarn,
+    };
+
+    await writeBundle(rollupConfig);
+
+    expect(thirdPartyOutput).toHaveBeenCalledOnceWith([
+      jasmine.objectContaining({ name: 'lodash', file: null }),
+      jasmine.objectContaining({ name: 'test/integration/vendor/mean.js', file: 'test/integration/vendor/mean.js', license: 'BSD-3-Clause' }),
+    ]);
+
+    expect(onwarn).toHaveBeenCalledWith(jasmine.objectContaining({
+      pluginCode: 'LICENSE_VIOLATION',
+      meta: {
+        dependency: jasmine.objectContaining({ name: 'test/integration/vendor/mean.js' }),
+      },
+    }), jasmine.any(Function));
+  });
+
+  it('should report vendored files with extracted license header as file-level components', async () => {
+    const thirdPartyOutput = jasmine.createSpy('thirdPartyOutput');
+    const rollupConfig = {
+      input: 'main',
+
+      output: {
+        dir: tmpDir.name,
+        format: 'es',
+      },
+
+      plugins: [
+        virtual({
+          main: `
+            export { clamp } from ${JSON.stringify(path.join(__dirname, 'vendor', 'clamp.js'))};
+          `,
+        }),
+        licensePlugin({
+          extractComments: true,
+          thirdParty: {
+            licenseHeaders: true,
+            output: thirdPartyOutput,
+          },
+        }),
+      ],
+    };
+
+    await writeBundle(rollupConfig);
+
+    expect(thirdPartyOutput).toHaveBeenCalledOnceWith([
+      jasmine.objectContaining({ name: 'test/integration/vendor/clamp.js', file: 'test/integration/vendor/clamp.js', license: 'MIT' }),
+    ]);
+
+    await verifyFile(path.join(tmpDir.name, '_virtual_main.js'), (data) => {
+      expect(data).not.toContain('@license');
+    });
+  });
+
+  it('should extract legal comments to a file next to the bundle', async () => {
+    const rollupConfig = createRollupConfig({
+      extractComments: true,
+    });
+
+    await writeBundle(rollupConfig);
+
+    await verifyFile(path.join(tmpDir.name, 'bundle.js'), (data) => {
+      expect(data).not.toContain('@license');
+      expect(data).toContain('For license information please see bundle.js.LICENSE.txt');
+    });
+
+    await verifyFile(path.join(tmpDir.name, 'bundle.js.LICENSE.txt'), (data) => {
+      expect(data).toMatch(/^lodash@\d+\.\d+\.\d+ -- MIT/);
+      expect(data).toContain('Lodash <https://lodash.com/>');
+    });
+  });
+
+  it('should extract legal comments next to hashed chunks', async () => {
+    const rollupConfig = {
+      input: 'main',
+
+      output: {
+        dir: tmpDir.name,
+        format: 'es',
+      },
+
+      plugins: [
+        virtual({
+          main: `
+            export const load = () => import('lazy');
+          `,
+          lazy: `
+            /*! lazy v1.0.0 | MIT */
+            export const lazy = 'lazy';
+          `,
+        }),
+        licensePlugin({
+          extractComments: true,
+        }),
+      ],
+    };
+
+    await writeBundle(rollupConfig);
+
+    const files = await fs.readdir(tmpDir.name);
+    const chunk = files.find((file) => /lazy-.+\.js$/.test(file));
+
+    expect(chunk).toBeDefined();
+    expect(files).toContain(`${chunk}.LICENSE.txt`);
+
+    await verifyFile(path.join(tmpDir.name, chunk), (data) => {
+      expect(data).toContain(`For license information please see ${chunk}.LICENSE.txt`);
+    });
+
+    await verifyFile(path.join(tmpDir.name, `${chunk}.LICENSE.txt`), (data) => {
+      expect(data).toBe('lazy v1.0.0 | MIT');
+    });
+  });
+
   it('should generate bundle and export dependencies to given function', async () => {
     const thirdPartyOutput = jasmine.createSpy('thirdPartyOutput');
     const rollupConfig = createRollupConfig({
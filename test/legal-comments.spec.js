@@ -0,0 +1,158 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { findLegalComments } from '../src/legal-comments';
+import { join } from './utils/join';
+
+describe('findLegalComments', () => {
+  it('should find legal block comments', () => {
+    const code = join([
+      '/*!',
+      ' * foo v1.0.0',
+      ' * Released under the MIT license',
+      ' */',
+      'var foo = 1;',
+      '  /** @license ISC */',
+      'var bar = 2;',
+    ]);
+
+    const comments = findLegalComments(code);
+
+    expect(comments).toEqual([
+      { start: 0, end: 56, text: join(['foo v1.0.0', 'Released under the MIT license']) },
+      { start: 69, end: 91, text: '@license ISC' },
+    ]);
+
+    expect(code.slice(comments[1].start, comments[1].end)).toBe('  /** @license ISC */\n');
+  });
+
+  it('should find legal line comments', () => {
+    const code = join([
+      '//! foo v1.0.0',
+      '//! Released under the MIT license',
+      'var foo = 1;',
+    ]);
+
+    expect(findLegalComments(code)).toEqual([
+      { start: 0, end: 50, text: join(['foo v1.0.0', 'Released under the MIT license']) },
+    ]);
+  });
+
+  it('should find legal comments followed by code', () => {
+    const code = join([
+      '/*! @license foo */ var x = 1;',
+      'var y = 2; /* note */',
+      '',
+    ]);
+
+    const comments = findLegalComments(code);
+
+    expect(comments).toEqual([
+      { start: 0, end: 19, text: '@license foo' },
+    ]);
+
+    expect(code.slice(comments[0].end)).toBe(join([
+      ' var x = 1;',
+      'var y = 2; /* note */',
+      '',
+    ]));
+  });
+
+  it('should ignore comments in template literals', () => {
+    const code = join([
+      'var foo = `',
+      '/*! not a comment */',
+      // eslint-disable-next-line no-template-curly-in-string
+      '${bar({ baz: 1 })} // not a comment',
+      '`;',
+      '/*! @license MIT */',
+      'var re = /["\'`]/g;',
+      '/*! @license ISC */',
+    ]);
+
+    expect(findLegalComments(code).map((comment) => comment.text)).toEqual([
+      '@license MIT',
+      '@license ISC',
+    ]);
+  });
+
+  it('should ignore comments in regular expressions following a parenthesis', () => {
+    const code = join([
+      'if (x) /\\/*@license foo/.test(s);',
+      'const y = 1; /*! real */',
+    ]);
+
+    const comments = findLegalComments(code);
+
+    expect(comments).toEqual([
+      { start: 47, end: 58, text: 'real' },
+    ]);
+
+    expect(code.slice(comments[0].start, comments[0].end)).toBe('/*! real */');
+  });
+
+  it('should not group legal line comments with other line comments', () => {
+    const code = join([
+      '// @license MIT',
+      '// regular helper comment',
+      'var foo = 1;',
+    ]);
+
+    expect(findLegalComments(code)).toEqual([
+      { start: 0, end: 16, text: '@license MIT' },
+    ]);
+  });
+
+  it('should not find legal comments in code that cannot be parsed', () => {
+    const code = join([
+      '/*! @license MIT */',
+      'const foo: number = 1;',
+    ]);
+
+    expect(findLegalComments(code)).toEqual([]);
+  });
+
+  it('should find legal comments in scripts and files starting with a hashbang', () => {
+    const code = join([
+      '#!/usr/bin/env node',
+      '/*! @license MIT */',
+      'with (foo) { bar(); }',
+    ]);
+
+    expect(findLegalComments(code)).toEqual([
+      { start: 20, end: 40, text: '@license MIT' },
+    ]);
+  });
+
+  it('should ignore other comments', () => {
+    const code = join([
+      '/** Some documentation */',
+      '// Some comment',
+      'var foo = "/*! not a comment */";',
+    ]);
+
+    expect(findLegalComments(code)).toEqual([]);
+    expect(findLegalComments(null)).toEqual([]);
+  });
+});
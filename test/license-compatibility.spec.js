@@ -0,0 +1,113 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { checkLicenseCompatibility, classifyLicense } from '../src/license-compatibility';
+
+describe('licenseCompatibility', () => {
+  describe('classifyLicense', () => {
+    it('should classify permissive licenses', () => {
+      expect(classifyLicense('MIT')).toBe('permissive');
+      expect(classifyLicense('Apache-2.0')).toBe('permissive');
+      expect(classifyLicense('bsd-3-clause')).toBe('permissive');
+    });
+
+    it('should classify copyleft licenses', () => {
+      expect(classifyLicense('LGPL-2.1-or-later')).toBe('weak-copyleft');
+      expect(classifyLicense('MPL-2.0')).toBe('weak-copyleft');
+      expect(classifyLicense('GPL-3.0-only')).toBe('strong-copyleft');
+      expect(classifyLicense('GPL-2.0+')).toBe('strong-copyleft');
+      expect(classifyLicense('AGPL-3.0-or-later')).toBe('network-copyleft');
+    });
+
+    it('should classify strong copyleft license with linking exception as weak copyleft', () => {
+      expect(classifyLicense('GPL-2.0-only WITH Classpath-exception-2.0')).toBe('weak-copyleft');
+    });
+
+    it('should classify proprietary licenses', () => {
+      expect(classifyLicense('UNLICENSED')).toBe('proprietary');
+      expect(classifyLicense('LicenseRef-Commercial')).toBe('proprietary');
+      expect(classifyLicense('SEE LICENSE IN LICENSE.txt')).toBe('proprietary');
+    });
+
+    it('should classify expression using the least restrictive alternative', () => {
+      expect(classifyLicense('(MIT OR GPL-3.0-only)')).toBe('permissive');
+      expect(classifyLicense('(MIT AND LGPL-3.0-only)')).toBe('weak-copyleft');
+    });
+
+    it('should classify unknown licenses', () => {
+      expect(classifyLicense('Custom')).toBe('unknown');
+      expect(classifyLicense('(MIT AND Beerware)')).toBe('unknown');
+      expect(classifyLicense('(Beerware OR GPL-3.0-only)')).toBe('strong-copyleft');
+    });
+  });
+
+  describe('checkLicenseCompatibility', () => {
+    it('should allow permissive license in proprietary distribution', () => {
+      expect(checkLicenseCompatibility('MIT', 'UNLICENSED')).toEqual({
+        compatible: true,
+        category: 'permissive',
+        projectCategory: 'proprietary',
+        explanation: 'MIT (permissive) is compatible with UNLICENSED distribution (proprietary)',
+      });
+    });
+
+    it('should reject copyleft license in proprietary distribution', () => {
+      expect(checkLicenseCompatibility('GPL-3.0-only', 'UNLICENSED')).toEqual({
+        compatible: false,
+        category: 'strong-copyleft',
+        projectCategory: 'proprietary',
+        explanation: 'GPL-3.0-only (strong copyleft) is incompatible with UNLICENSED distribution (proprietary)',
+      });
+
+      expect(checkLicenseCompatibility('LGPL-3.0-only', 'UNLICENSED').compatible).toBe(false);
+    });
+
+    it('should consider project without license as proprietary', () => {
+      const result = checkLicenseCompatibility('LGPL-3.0-only', null);
+      expect(result.compatible).toBe(false);
+      expect(result.explanation).toBe('LGPL-3.0-only (weak copyleft) is incompatible with UNLICENSED distribution (proprietary)');
+    });
+
+    it('should reject strong copyleft license in permissive distribution', () => {
+      expect(checkLicenseCompatibility('LGPL-2.1-only', 'MIT').compatible).toBe(true);
+      expect(checkLicenseCompatibility('GPL-2.0-only', 'MIT').compatible).toBe(false);
+      expect(checkLicenseCompatibility('AGPL-3.0-only', 'MIT').compatible).toBe(false);
+    });
+
+    it('should allow copyleft license in copyleft distribution', () => {
+      expect(checkLicenseCompatibility('GPL-3.0-only', 'GPL-3.0-or-later').compatible).toBe(true);
+      expect(checkLicenseCompatibility('AGPL-3.0-only', 'GPL-3.0-only').compatible).toBe(false);
+      expect(checkLicenseCompatibility('AGPL-3.0-only', 'AGPL-3.0-only').compatible).toBe(true);
+    });
+
+    it('should not check unknown licenses', () => {
+      expect(checkLicenseCompatibility('Custom', 'UNLICENSED')).toEqual({
+        compatible: true,
+        category: 'unknown',
+        projectCategory: 'proprietary',
+        explanation: 'Custom cannot be classified, it is not checked against UNLICENSED distribution',
+      });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { licenseAlternatives } from '../src/license-expression';
+
+describe('licenseAlternatives', () => {
+  it('should return single license', () => {
+    expect(licenseAlternatives('MIT')).toEqual([['MIT']]);
+  });
+
+  it('should return alternatives of OR expression', () => {
+    expect(licenseAlternatives('(MIT OR Apache-2.0)')).toEqual([['MIT'], ['Apache-2.0']]);
+  });
+
+  it('should return combined licenses of AND expression', () => {
+    expect(licenseAlternatives('MIT AND (Apache-2.0 OR BSD-3-Clause)')).toEqual([
+      ['MIT', 'Apache-2.0'],
+      ['MIT', 'BSD-3-Clause'],
+    ]);
+  });
+
+  it('should keep license exceptions and plus operator', () => {
+    expect(licenseAlternatives('GPL-2.0-only WITH Classpath-exception-2.0 OR LGPL-2.1+')).toEqual([
+      ['GPL-2.0-only WITH Classpath-exception-2.0'],
+      ['LGPL-2.1+'],
+    ]);
+  });
+
+  it('should return invalid expression as a single alternative', () => {
+    expect(licenseAlternatives(' Custom License ')).toEqual([['Custom License']]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { parseLicenseHeader } from '../src/license-header';
+import { join } from './utils/join';
+
+describe('parseLicenseHeader', () => {
+  it('should parse SPDX license identifier in line comments', () => {
+    const code = join([
+      '// SPDX-License-Identifier: BSD-3-Clause',
+      '// Copyright (c) 2024 John Doe',
+      '',
+      'export const foo = 1;',
+    ]);
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: 'BSD-3-Clause',
+      text: join([
+        'SPDX-License-Identifier: BSD-3-Clause',
+        'Copyright (c) 2024 John Doe',
+      ]),
+    });
+  });
+
+  it('should parse SPDX license identifier in block comment', () => {
+    const code = '/* SPDX-License-Identifier: (MIT OR Apache-2.0) */ export const foo = 1;';
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: '(MIT OR Apache-2.0)',
+      text: 'SPDX-License-Identifier: (MIT OR Apache-2.0)',
+    });
+  });
+
+  it('should parse license tag', () => {
+    const code = join([
+      '/*!',
+      ' * @license ISC',
+      ' * Copyright (c) 2024 John Doe',
+      ' */',
+      'export const foo = 1;',
+    ]);
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: 'ISC',
+      text: join([
+        '@license ISC',
+        'Copyright (c) 2024 John Doe',
+      ]),
+    });
+  });
+
+  it('should parse license tag without SPDX expression', () => {
+    const code = join([
+      '/**',
+      ' * @license',
+      ' * Lodash <https://lodash.com/>',
+      ' */',
+    ]);
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: null,
+      text: join([
+        '@license',
+        'Lodash <https://lodash.com/>',
+      ]),
+    });
+  });
+
+  it('should parse license header after hashbang', () => {
+    const code = join([
+      '#!/usr/bin/env node',
+      '// SPDX-License-Identifier: MIT',
+      'console.log("foo");',
+    ]);
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: 'MIT',
+      text: 'SPDX-License-Identifier: MIT',
+    });
+  });
+
+  it('should not group line comments separated by a blank line', () => {
+    const code = join([
+      '// Some comment',
+      '',
+      '// @license MIT',
+      'export const foo = 1;',
+    ]);
+
+    expect(parseLicenseHeader(code)).toEqual({
+      license: 'MIT',
+      text: '@license MIT',
+    });
+  });
+
+  it('should ignore comments after the first token', () => {
+    const code = join([
+      'const help = "/* SPDX-License-Identifier: GPL-3.0-only */";',
+      '',
+      '/**',
+      ' * Some function, see @license option.',
+      ' */',
+      'export function foo() {}',
+    ]);
+
+    expect(parseLicenseHeader(code)).toBeNull();
+  });
+
+  it('should return null without license header', () => {
+    expect(parseLicenseHeader('/* Some comment */ export const foo = 1;')).toBeNull();
+    expect(parseLicenseHeader('export const foo = 1;')).toBeNull();
+    expect(parseLicenseHeader(null)).toBeNull();
+  });
+});
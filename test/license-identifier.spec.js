@@ -0,0 +1,96 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import path from 'node:path';
+import fs from 'node:fs';
+import { identifyLicense, matchLicense } from '../src/license-identifier';
+import { LICENSE_TEMPLATES } from '../src/license-templates';
+
+describe('identifyLicense', () => {
+  const template = (id) => LICENSE_TEMPLATES.find((t) => t.id === id).text;
+
+  it('should identify MIT license', () => {
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'fake-package-14', 'legal', 'TERMS.txt'), 'utf-8');
+    expect(identifyLicense(text)).toBe('MIT');
+  });
+
+  it('should identify all license templates', () => {
+    LICENSE_TEMPLATES.forEach(({ id, text }) => {
+      expect(identifyLicense(`Copyright (c) 2024 John Doe${text}`)).toBe(id);
+    });
+  });
+
+  it('should identify license whatever the formatting', () => {
+    const text = template('BSD-2-Clause')
+      .replace(/^\s*\d\./gm, '*')
+      .replace(/\s+/g, '\n');
+
+    expect(identifyLicense(text)).toBe('BSD-2-Clause');
+  });
+
+  it('should identify the most specific license', () => {
+    expect(identifyLicense(template('ISC'))).toBe('ISC');
+    expect(identifyLicense(template('0BSD'))).toBe('0BSD');
+    expect(identifyLicense(template('BSD-3-Clause'))).toBe('BSD-3-Clause');
+  });
+
+  it('should identify the most specific license of a license text naming an organization', () => {
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'fake-package-17', 'LICENSE'), 'utf-8');
+    const match = matchLicense(text);
+
+    expect(match.license).toBe('BSD-3-Clause');
+    expect(match.score).toBeGreaterThan(0.9);
+  });
+
+  it('should identify license text with small variations', () => {
+    const text = template('BSD-3-Clause')
+      .replace('the copyright holder nor', 'Acme Inc. nor')
+      .replace('COPYRIGHT HOLDERS AND', 'REGENTS AND');
+
+    const match = matchLicense(text);
+
+    expect(match.license).toBe('BSD-3-Clause');
+    expect(match.score).toBeGreaterThan(0.9);
+    expect(match.score).toBeLessThan(1);
+  });
+
+  it('should identify whole license text from a license excerpt', () => {
+    const text = [
+      template('Apache-2.0'),
+      '2. Grant of Copyright License. Subject to the terms and conditions of this License, each Contributor hereby grants...',
+    ].join('\n');
+
+    expect(matchLicense(text)).toEqual({
+      license: 'Apache-2.0',
+      score: 1,
+    });
+  });
+
+  it('should return null for unknown license', () => {
+    expect(identifyLicense('All rights reserved.')).toBeNull();
+    expect(identifyLicense('GNU GENERAL PUBLIC LICENSE Version 3, 29 June 2007')).toBeNull();
+    expect(identifyLicense(null)).toBeNull();
+    expect(matchLicense(null)).toBeNull();
+  });
+});
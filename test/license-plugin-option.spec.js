@@ -62,11 +62,11 @@ describe('licensePluginOptions', () => {
     expect(result).toEqual(options);
 
     expect(warn).toHaveBeenCalledWith(
-      '[rollup-plugin-license] -- Unknown property: "foo", allowed options are: sourcemap, debug, cwd, banner, thirdParty.',
+      '[rollup-plugin-license] -- Unknown property: "foo", allowed options are: sourcemap, debug, cwd, banner, thirdParty, extractComments.',
     );
 
     expect(warn).toHaveBeenCalledWith(
-      '[rollup-plugin-license] -- Unknown property: "banner.bar", allowed options are: sourcemap, debug, cwd, banner, thirdParty.',
+      '[rollup-plugin-license] -- Unknown property: "banner.bar", allowed options are: sourcemap, debug, cwd, banner, thirdParty, extractComments.',
     );
   });
 
@@ -161,4 +161,28 @@ describe('licensePluginOptions', () => {
       '"thirdParty.output[0]" must be an object',
     ));
   });
+
+  it('should fail when extracted legal comments are neither written to a file nor to the banner', () => {
+    const options = {
+      extractComments: {
+        file: false,
+      },
+    };
+
+    expect(() => licensePluginOptions(options)).toThrow(new Error(
+      '[rollup-plugin-license] -- Error during validation of option object: ' +
+      '"extractComments" must enable "file" or "banner", otherwise legal comments would be dropped',
+    ));
+  });
+
+  it('should validate extracted legal comments appended to the banner', () => {
+    const options = {
+      extractComments: {
+        file: false,
+        banner: true,
+      },
+    };
+
+    expect(() => licensePluginOptions(options)).not.toThrow();
+  });
 });
@@ -25,6 +25,7 @@
 /* eslint-disable import/no-dynamic-require, global-require */
 
 import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
 import path from 'node:path';
 import tmp from 'tmp';
 import moment from 'moment';
@@ -82,7 +83,7 @@ describe('LicensePlugin', () => {
       });
 
       expect(warn).toHaveBeenCalledWith(
-        '[rollup-plugin-license] -- Unknown property: "foobar", allowed options are: sourcemap, debug, cwd, banner, thirdParty.',
+        '[rollup-plugin-license] -- Unknown property: "foobar", allowed options are: sourcemap, debug, cwd, banner, thirdParty, extractComments.',
       );
     });
 
@@ -111,7 +112,15 @@ describe('LicensePlugin', () => {
         description: 'Fake package used in unit tests',
         license: 'MIT',
         licenseText: null,
+        licenseFiles: [],
         noticeText: null,
+        copyrights: [],
+        integrity: null,
+        path: null,
+        file: null,
+        modules: [],
+        originalLicense: null,
+        inferredLicense: null,
         private: true,
         homepage: null,
         repository: null,
@@ -136,6 +145,7 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-1'),
       });
     });
 
@@ -158,6 +168,7 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get(key)).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-1'),
       });
     });
 
@@ -172,6 +183,7 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-5'),
       });
     });
 
@@ -187,6 +199,7 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-6'),
       });
     });
 
@@ -210,7 +223,15 @@ describe('LicensePlugin', () => {
         private: true,
         license: 'MIT',
         licenseText: null,
+        licenseFiles: [],
         noticeText: null,
+        copyrights: [],
+        integrity: null,
+        path: path.join(__dirname, 'fixtures', 'fake-package-7', 'internal'),
+        file: null,
+        modules: [],
+        originalLicense: null,
+        inferredLicense: null,
         author: null,
         contributors: [],
       });
@@ -226,8 +247,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-2'),
         self: false,
         licenseText: 'LICENSE.md file',
+        licenseFiles: [{ name: 'LICENSE.md', content: 'LICENSE.md file' }],
       });
     });
 
@@ -241,6 +264,7 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-9'),
         self: false,
         licenseText: null,
       });
@@ -256,8 +280,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-10'),
         self: false,
         licenseText: 'license.md file',
+        licenseFiles: [{ name: 'license.md', content: 'license.md file' }],
       });
     });
 
@@ -271,12 +297,47 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-11'),
         self: false,
         licenseText: 'license.md file',
+        licenseFiles: [{ name: 'license.md', content: 'license.md file' }],
         noticeText: 'notice.md file',
+        copyrights: [],
       });
     });
 
+    it('should load pkg including license text from file referenced by license', () => {
+      const pkgPath = path.join(__dirname, 'fixtures', 'fake-package-14');
+      const id = path.join(pkgPath, 'src', 'index.js');
+
+      plugin.scanDependency(id);
+
+      const dependency = plugin._dependencies.get('fake-package');
+      expect(dependency.license).toBe('SEE LICENSE IN legal/TERMS.txt');
+      expect(dependency.licenseText).toContain('Permission is hereby granted, free of charge');
+      expect(dependency.inferredLicense).toBe('MIT');
+    });
+
+    it('should identify license from license text when license is missing', () => {
+      const pkgPath = path.join(__dirname, 'fixtures', 'fake-package-15');
+      const id = path.join(pkgPath, 'src', 'index.js');
+
+      plugin.scanDependency(id);
+
+      const dependency = plugin._dependencies.get('fake-package');
+      expect(dependency.license).toBeNull();
+      expect(dependency.licenseText).toContain('ISC License');
+      expect(dependency.inferredLicense).toBe('ISC');
+    });
+
+    it('should not load license text from file outside of package directory', () => {
+      const pkgPath = path.join(__dirname, 'fixtures', 'fake-package-1');
+
+      const licenseText = plugin._readCustomLicense(pkgPath, '../fake-package-14/legal/TERMS.txt');
+
+      expect(licenseText).toBeNull();
+    });
+
     it('should load pkg including license text from license.md file ignoring case of license file', () => {
       const id = path.join(__dirname, 'fixtures', 'fake-package-8', 'src', 'index.js');
 
@@ -288,8 +349,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-8'),
         self: false,
         licenseText: 'license.md file',
+        licenseFiles: [{ name: 'license.md', content: 'license.md file' }],
       });
     });
 
@@ -303,8 +366,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-3'),
         self: false,
         licenseText: 'LICENSE.txt file',
+        licenseFiles: [{ name: 'LICENSE.txt', content: 'LICENSE.txt file' }],
       });
     });
 
@@ -318,8 +383,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-4'),
         self: false,
         licenseText: 'LICENSE file',
+        licenseFiles: [{ name: 'LICENSE', content: 'LICENSE file' }],
       });
     });
 
@@ -337,6 +404,8 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-1'),
+        modules: ['test/fixtures/fake-package-1/src/index.js'],
       });
     });
 
@@ -375,16 +444,21 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-1'),
       });
 
       expect(plugin._cache.size).toBe(2);
 
       expect(plugin._cache.get(path.join(__dirname, 'fixtures', 'fake-package-1', 'src'))).toEqual({
         ...pkg,
+        path: pkgPath,
+        licenseFiles: [],
       });
 
       expect(plugin._cache.get(path.join(__dirname, 'fixtures', 'fake-package-1'))).toEqual({
         ...pkg,
+        path: pkgPath,
+        licenseFiles: [],
       });
     });
 
@@ -411,16 +485,21 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.get('fake-package')).toEqual({
         self: false,
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-1'),
       });
 
       expect(plugin._cache.size).toBe(2);
 
       expect(plugin._cache.get(path.join(__dirname, 'fixtures', 'fake-package-1', 'src'))).toEqual({
         ...pkg,
+        path: pkgPath,
+        licenseFiles: [],
       });
 
       expect(plugin._cache.get(path.join(__dirname, 'fixtures', 'fake-package-1'))).toEqual({
         ...pkg,
+        path: pkgPath,
+        licenseFiles: [],
       });
     });
 
@@ -451,8 +530,10 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-12'),
         self: false,
         licenseText: 'LICENSE-MIT file',
+        licenseFiles: [{ name: 'LICENSE-MIT', content: 'LICENSE-MIT file' }],
       });
     });
 
@@ -466,9 +547,263 @@ describe('LicensePlugin', () => {
       expect(plugin._dependencies.has('fake-package')).toBe(true);
       expect(plugin._dependencies.get('fake-package')).toEqual({
         ...fakePackage,
+        path: path.join(__dirname, 'fixtures', 'fake-package-13'),
         self: false,
         licenseText: 'LICENCE.md file',
+        licenseFiles: [{ name: 'LICENCE.md', content: 'LICENCE.md file' }],
+      });
+    });
+
+    it('should load pkg including all license files of dual-licensed package', () => {
+      const id = path.join(__dirname, 'fixtures', 'fake-package-16', 'src', 'index.js');
+
+      plugin.scanDependency(id);
+
+      expect(addDependency).toHaveBeenCalled();
+      expect(plugin._dependencies.size).toBe(1);
+      expect(plugin._dependencies.has('fake-package')).toBe(true);
+      expect(plugin._dependencies.get('fake-package')).toEqual({
+        ...fakePackage,
+        license: '(MIT OR Apache-2.0)',
+        path: path.join(__dirname, 'fixtures', 'fake-package-16'),
+        self: false,
+        licenseText: 'LICENSE-APACHE file',
+        licenseFiles: [
+          { name: 'LICENSE-APACHE', content: 'LICENSE-APACHE file' },
+          { name: 'LICENSE-MIT', content: 'LICENSE-MIT file' },
+        ],
+      });
+    });
+  });
+
+  describe('when scanning dependencies', () => {
+    let plugin;
+    let id1;
+    let id2;
+
+    beforeEach(() => {
+      plugin = licensePlugin();
+      id1 = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+      id2 = path.join(__dirname, 'fixtures', 'fake-package-2', 'src', 'index.js');
+    });
+
+    it('should return scanned dependencies', () => {
+      const dependencies = plugin.scanDependencies([id1, id2]);
+
+      expect(dependencies.length).toBe(1);
+      expect(dependencies[0]).toBe(plugin._dependencies.get('fake-package'));
+      expect(plugin._outputDependencies.size).toBe(0);
+    });
+
+    it('should track scanned dependencies for given output', () => {
+      const outputOptions = {};
+      const dependencies = plugin.scanDependencies([id1], outputOptions);
+
+      expect(plugin._outputDependencies.size).toBe(1);
+      expect(plugin._outputDependencies.get(outputOptions)).toEqual(new Map([
+        ['fake-package', dependencies[0]],
+      ]));
+    });
+
+    it('should release scanned dependencies of given output once third parties have been scanned', () => {
+      const outputOptions = {};
+      plugin.scanDependencies([id1], outputOptions);
+      plugin.scanThirdParties(null, outputOptions);
+      expect(plugin._outputDependencies.size).toBe(0);
+    });
+  });
+
+  describe('when scanning license headers', () => {
+    let id;
+    let code;
+
+    beforeEach(() => {
+      id = path.join(__dirname, 'integration', 'vendor', 'mean.js');
+      code = join([
+        '// SPDX-License-Identifier: BSD-3-Clause',
+        'export const mean = () => 0;',
+      ]);
+    });
+
+    it('should not scan license headers by default', () => {
+      const plugin = licensePlugin();
+
+      plugin.scanLicenseHeader(id, code);
+
+      expect(plugin._fileLicenses.size).toBe(0);
+      expect(plugin.scanDependency(id)).toBeNull();
+    });
+
+    it('should add file-level component for project file with license header', () => {
+      const plugin = licensePlugin({
+        thirdParty: {
+          licenseHeaders: true,
+        },
+      });
+
+      plugin.scanLicenseHeader(id, code);
+      const dependency = plugin.scanDependency(id);
+
+      expect(dependency).toBe(plugin._dependencies.get('test/integration/vendor/mean.js'));
+      expect(dependency.self).toBe(false);
+      expect(dependency.file).toBe('test/integration/vendor/mean.js');
+      expect(dependency.path).toBe(id);
+      expect(dependency.license).toBe('BSD-3-Clause');
+      expect(dependency.licenseText).toBe('SPDX-License-Identifier: BSD-3-Clause');
+    });
+
+    it('should not add file-level component for package file with license header', () => {
+      const plugin = licensePlugin({
+        thirdParty: {
+          licenseHeaders: true,
+        },
+      });
+
+      const pkgId = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+      plugin.scanLicenseHeader(pkgId, code);
+      const dependency = plugin.scanDependency(pkgId);
+
+      expect(dependency.name).toBe('fake-package');
+      expect(dependency.file).toBeNull();
+    });
+
+    it('should add file-level component for project file with extracted license header', () => {
+      const plugin = licensePlugin({
+        extractComments: true,
+        thirdParty: {
+          licenseHeaders: true,
+        },
+      });
+
+      const source = join([
+        '/** @license MIT */',
+        'export const foo = 1;',
+      ]);
+
+      const result = plugin.extractComments(source, id);
+      plugin.scanLicenseHeader(id, result.code);
+      const dependency = plugin.scanDependency(id);
+
+      expect(result.code).toBe('export const foo = 1;');
+      expect(dependency.file).toBe('test/integration/vendor/mean.js');
+      expect(dependency.license).toBe('MIT');
+    });
+
+    it('should clear license headers on reset', () => {
+      const plugin = licensePlugin({
+        thirdParty: {
+          licenseHeaders: true,
+        },
+      });
+
+      plugin.scanLicenseHeader(id, code);
+      plugin.reset();
+
+      expect(plugin._fileLicenses.size).toBe(0);
+    });
+  });
+
+  describe('in watch mode', () => {
+    let plugin;
+    let pkgPath;
+    let id;
+
+    beforeEach(() => {
+      plugin = licensePlugin();
+      pkgPath = path.join(__dirname, 'fixtures', 'fake-package-1');
+      id = path.join(pkgPath, 'src', 'index.js');
+    });
+
+    it('should reset scanned dependencies but keep the cache', () => {
+      plugin.scanDependency(id);
+
+      expect(plugin._dependencies.size).toBe(1);
+      expect(plugin._cache.size).toBe(2);
+
+      plugin.reset();
+
+      expect(plugin._dependencies.size).toBe(0);
+      expect(plugin._cache.size).toBe(2);
+    });
+
+    it('should return package.json files read while scanning dependencies', () => {
+      plugin.scanDependency(id);
+
+      expect(plugin.watchFiles()).toEqual([
+        path.join(process.cwd(), 'package.json'),
+        path.join(pkgPath, 'package.json'),
+      ]);
+    });
+
+    it('should return license and notice files read while scanning dependencies', () => {
+      const otherPkgPath = path.join(__dirname, 'fixtures', 'fake-package-11');
+      plugin.scanDependency(path.join(otherPkgPath, 'index.js'));
+
+      expect(plugin.watchFiles()).toEqual([
+        path.join(process.cwd(), 'package.json'),
+        path.join(otherPkgPath, 'package.json'),
+        path.join(otherPkgPath, 'license.md'),
+        path.join(otherPkgPath, 'notice.md'),
+      ]);
+    });
+
+    it('should watch files as soon as they are read', () => {
+      const context = jasmine.createSpyObj('context', ['addWatchFile']);
+      const otherPkgPath = path.join(__dirname, 'fixtures', 'fake-package-2');
+
+      plugin.setContext(context);
+      plugin.scanDependency(path.join(otherPkgPath, 'src', 'index.js'));
+
+      expect(context.addWatchFile).toHaveBeenCalledWith(path.join(otherPkgPath, 'package.json'));
+      expect(context.addWatchFile).toHaveBeenCalledWith(path.join(otherPkgPath, 'LICENSE.md'));
+    });
+
+    it('should invalidate cache when package.json file is updated', () => {
+      plugin.scanDependency(id);
+      plugin.scanDependency(path.join(__dirname, 'fixtures', 'fake-package-2', 'src', 'index.js'));
+
+      expect(plugin._cache.size).toBe(4);
+
+      plugin.invalidate(path.join(pkgPath, 'package.json'));
+
+      expect(plugin._cache.size).toBe(2);
+      expect(plugin._cache.has(pkgPath)).toBe(false);
+      expect(plugin._cache.has(path.join(pkgPath, 'src'))).toBe(false);
+    });
+
+    it('should invalidate cache when license file is updated', () => {
+      plugin.scanDependency(id);
+      plugin.invalidate(path.join(pkgPath, 'LICENSE.md'));
+      expect(plugin._cache.size).toBe(0);
+    });
+
+    it('should not invalidate cache when another file is updated', () => {
+      plugin.scanDependency(id);
+      plugin.invalidate(id);
+      expect(plugin._cache.size).toBe(2);
+    });
+
+    it('should scan dependency again after invalidation', () => {
+      plugin.scanDependency(id);
+      plugin.reset();
+      plugin.invalidate(path.join(pkgPath, 'package.json'));
+
+      const readFileSync = spyOn(fsSync, 'readFileSync').and.callThrough();
+      plugin.scanDependency(id);
+
+      expect(readFileSync).toHaveBeenCalledWith(path.join(pkgPath, 'package.json'), 'utf-8');
+      expect(plugin._dependencies.has('fake-package')).toBe(true);
+    });
+
+    it('should reload package.json of current working directory', () => {
+      plugin = licensePlugin({
+        cwd: pkgPath,
       });
+
+      plugin._pkg = {};
+      plugin.invalidate(path.join(pkgPath, 'package.json'));
+
+      expect(plugin._pkg.name).toBe('fake-package');
     });
   });
 
@@ -523,7 +858,15 @@ describe('LicensePlugin', () => {
         description: 'Fake Description',
         license: 'MIT',
         licenseText: null,
+        licenseFiles: [],
         noticeText: null,
+        copyrights: [],
+        integrity: null,
+        path: null,
+        file: null,
+        modules: [],
+        originalLicense: null,
+        inferredLicense: null,
         homepage: 'https://www.google.fr',
         private: true,
         maintainers: [],
@@ -675,138 +1018,371 @@ describe('LicensePlugin', () => {
     });
   });
 
-  describe('with banner option', () => {
-    let code;
-    let bannerJs;
-    let bannerTxt;
+  describe('with license correction', () => {
+    let warn;
 
     beforeEach(() => {
-      code = 'var foo = 0;';
-      bannerJs = path.join(__dirname, 'fixtures', 'banner.js');
-      bannerTxt = path.join(__dirname, 'fixtures', 'banner.txt');
+      warn = spyOn(console, 'warn');
     });
 
-    it('should prepend banner to bundle from a file', () => {
-      const instance = licensePlugin({
-        banner: {
-          content: {
-            file: bannerJs,
-          },
-        },
-      });
-
-      const result = instance.prependBanner(code);
+    it('should not correct license by default', () => {
+      const instance = licensePlugin();
+      const dependency = instance.addDependency({ name: 'foo', version: '1.0.0', license: 'Apache 2.0' }, false);
 
-      verifyResult(result);
+      expect(dependency.license).toBe('Apache 2.0');
+      expect(dependency.originalLicense).toBeNull();
     });
 
-    it('should prepend banner to bundle with custom encoding', () => {
-      const encoding = 'ascii';
+    it('should correct invalid SPDX license', () => {
       const instance = licensePlugin({
-        banner: {
-          content: {
-            file: bannerJs,
-            encoding,
-          },
+        thirdParty: {
+          correctLicenses: true,
+          output: () => {},
         },
       });
 
-      const result = instance.prependBanner(code);
+      const dependency = instance.addDependency({ name: 'foo', version: '1.0.0', license: 'Apache 2.0' }, false);
 
-      verifyResult(result);
+      expect(dependency.license).toBe('Apache-2.0');
+      expect(dependency.originalLicense).toBe('Apache 2.0');
+      expect(warn).not.toHaveBeenCalled();
     });
 
-    it('should fail to prepend banner without any content', () => {
+    it('should not correct valid SPDX license', () => {
       const instance = licensePlugin({
-        banner: {
-          commentStyle: 'regular',
-          content: {},
+        thirdParty: {
+          correctLicenses: true,
+          output: () => {},
         },
       });
 
-      expect(() => instance.prependBanner('var foo = 0;')).toThrow(new Error(
-        '[rollup-plugin-license] -- Cannot find banner content, please specify an inline content, or a path to a file',
-      ));
-    });
-
-    it('should prepend banner to bundle with template', async () => {
-      const tmpl = await fs.readFile(bannerJs, 'utf-8');
-      const instance = licensePlugin({
-        banner: tmpl,
-      });
-
-      const result = instance.prependBanner(code);
+      const dependency = instance.addDependency({ name: 'foo', version: '1.0.0', license: 'MIT' }, false);
 
-      verifyResult(result);
+      expect(dependency.license).toBe('MIT');
+      expect(dependency.originalLicense).toBeNull();
     });
 
-    it('should prepend banner to bundle without source map', () => {
+    it('should warn when license is corrected if enabled', () => {
       const instance = licensePlugin({
-        banner: {
-          content: {
-            file: bannerJs,
+        thirdParty: {
+          correctLicenses: {
+            warn: true,
           },
+          allow: 'Apache-2.0',
         },
       });
 
-      instance.disableSourceMap();
-
-      const result = instance.prependBanner(code);
+      instance.addDependency({ name: 'foo', version: '1.0.0', license: 'Apache 2.0' }, false);
+      instance.scanThirdParties();
 
-      verifyBanner(result);
-      expect(result.map).not.toBeDefined();
+      expect(warn).toHaveBeenCalledOnceWith(
+        '[rollup-plugin-license] -- Dependency "foo" has a license (Apache 2.0) which is not a valid SPDX expression, corrected to Apache-2.0.',
+      );
     });
+  });
 
-    it('should not prepend default banner to bundle', () => {
-      const instance = licensePlugin();
-      const result = instance.prependBanner(code);
+  describe('with extractComments option', () => {
+    let id1;
+    let id2;
+    let code;
 
-      expect(result).toBeDefined();
-      expect(result.code).toBeDefined();
-      expect(result.map).toBeDefined();
-      expect(result.code).toBe(code);
+    beforeEach(() => {
+      id1 = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+      id2 = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'other.js');
+      code = join([
+        '/*! fake-package v1.0.0 | MIT */',
+        'export const foo = 1;',
+      ]);
     });
 
-    it('should fail if banner file does not exist', () => {
-      const file = path.join(__dirname, 'fixtures', 'dummy');
-      const instance = licensePlugin({
-        banner: {
-          content: {
-            file,
-          },
-        },
-      });
-
-      expect(() => instance.prependBanner(code)).toThrow(new Error(
-        `[rollup-plugin-license] -- Template file ${file} does not exist, or cannot be read`,
-      ));
+    it('should not extract legal comments by default', () => {
+      const plugin = licensePlugin();
+      expect(plugin.extractComments(code, id1)).toBeNull();
+      expect(plugin.legalComments([id1])).toBeNull();
     });
 
-    it('should prepend banner and create block comment', () => {
-      const instance = licensePlugin({
-        banner: {
-          content: {
-            file: bannerTxt,
-          },
-        },
+    it('should remove legal comments from module source', () => {
+      const plugin = licensePlugin({
+        extractComments: true,
       });
 
-      const result = instance.prependBanner(code);
+      const result = plugin.extractComments(code, id1);
 
-      verifyBanner(result);
+      expect(result.code).toBe('export const foo = 1;');
+      expect(result.map).toBeDefined();
+      expect(plugin.extractComments('export const bar = 2;', id2)).toBeNull();
     });
 
-    it('should prepend banner and create block comment with a custom style', () => {
-      const instance = licensePlugin({
-        banner: {
-          commentStyle: 'ignored',
-          content: {
-            file: bannerTxt,
-          },
-        },
+    it('should group legal comments by dependency', () => {
+      const plugin = licensePlugin({
+        extractComments: true,
       });
 
-      const result = instance.prependBanner(code);
+      plugin.extractComments(code, id1);
+      plugin.extractComments(code, id2);
+
+      expect(plugin.legalComments([id1, id2])).toBe(join([
+        'fake-package@1.0.0 -- MIT',
+        '',
+        'fake-package v1.0.0 | MIT',
+      ]));
+    });
+
+    it('should reference legal comments file in the chunk', () => {
+      const plugin = licensePlugin({
+        extractComments: true,
+      });
+
+      const result = plugin.prependBanner('var foo = 1;', false, {
+        chunk: { fileName: 'js/bundle-!~{001}~.js', name: 'bundle', format: 'es' },
+        legalComments: 'fake-package v1.0.0 | MIT',
+      });
+
+      expect(result.code).toBe(join([
+        '/*!',
+        ' * For license information please see bundle-!~{001}~.js.LICENSE.txt',
+        ' */',
+        '',
+        'var foo = 1;',
+      ]));
+    });
+
+    it('should emit legal comments next to the chunks once the bundle is generated', () => {
+      const context = jasmine.createSpyObj('context', ['emitFile']);
+      const plugin = licensePlugin({
+        extractComments: true,
+      });
+
+      plugin.setContext(context);
+      plugin.extractComments(code, id1);
+
+      plugin.emitLegalComments({ format: 'es' }, {
+        'js/bundle-BhwcS6YP.js': {
+          type: 'chunk',
+          fileName: 'js/bundle-BhwcS6YP.js',
+          name: 'bundle',
+          modules: {
+            [id1]: { renderedLength: 10 },
+          },
+        },
+        'js/other.js': {
+          type: 'chunk',
+          fileName: 'js/other.js',
+          name: 'other',
+          modules: {
+            [id2]: { renderedLength: 10 },
+          },
+        },
+      });
+
+      expect(context.emitFile).toHaveBeenCalledOnceWith({
+        type: 'asset',
+        fileName: 'js/bundle-BhwcS6YP.js.LICENSE.txt',
+        source: join([
+          'fake-package@1.0.0 -- MIT',
+          '',
+          'fake-package v1.0.0 | MIT',
+        ]),
+      });
+    });
+
+    it('should append legal comments to the banner', () => {
+      const plugin = licensePlugin({
+        banner: 'My Banner',
+        extractComments: {
+          banner: true,
+          file: false,
+        },
+      });
+
+      const result = plugin.prependBanner('var foo = 1;', false, {
+        chunk: { fileName: 'bundle.js', name: 'bundle', format: 'es' },
+        legalComments: 'fake-package v1.0.0 | MIT',
+      });
+
+      expect(result.code).toBe(join([
+        '/**',
+        ' * My Banner',
+        ' */',
+        '',
+        '/*!',
+        ' * fake-package v1.0.0 | MIT',
+        ' */',
+        '',
+        'var foo = 1;',
+      ]));
+    });
+
+    it('should emit legal comments to given file name', () => {
+      const context = jasmine.createSpyObj('context', ['emitFile']);
+      const plugin = licensePlugin({
+        extractComments: {
+          banner: true,
+          file: 'licenses/[name].[format].txt',
+        },
+      });
+
+      plugin.setContext(context);
+      plugin.extractComments(code, id1);
+
+      const result = plugin.prependBanner('var foo = 1;', false, {
+        chunk: { fileName: 'bundle.js', name: 'bundle', format: 'es' },
+        legalComments: 'fake-package v1.0.0 | MIT',
+      });
+
+      plugin.emitLegalComments({ format: 'es' }, {
+        'bundle.js': {
+          type: 'chunk',
+          fileName: 'bundle.js',
+          name: 'bundle',
+          modules: {
+            [id1]: { renderedLength: 10 },
+          },
+        },
+      });
+
+      expect(context.emitFile).toHaveBeenCalledOnceWith({
+        type: 'asset',
+        fileName: 'licenses/bundle.es.txt',
+        source: jasmine.stringContaining('fake-package v1.0.0 | MIT'),
+      });
+
+      expect(result.code).not.toContain('For license information');
+    });
+  });
+
+  describe('with banner option', () => {
+    let code;
+    let bannerJs;
+    let bannerTxt;
+
+    beforeEach(() => {
+      code = 'var foo = 0;';
+      bannerJs = path.join(__dirname, 'fixtures', 'banner.js');
+      bannerTxt = path.join(__dirname, 'fixtures', 'banner.txt');
+    });
+
+    it('should prepend banner to bundle from a file', () => {
+      const instance = licensePlugin({
+        banner: {
+          content: {
+            file: bannerJs,
+          },
+        },
+      });
+
+      const result = instance.prependBanner(code);
+
+      verifyResult(result);
+    });
+
+    it('should prepend banner to bundle with custom encoding', () => {
+      const encoding = 'ascii';
+      const instance = licensePlugin({
+        banner: {
+          content: {
+            file: bannerJs,
+            encoding,
+          },
+        },
+      });
+
+      const result = instance.prependBanner(code);
+
+      verifyResult(result);
+    });
+
+    it('should fail to prepend banner without any content', () => {
+      const instance = licensePlugin({
+        banner: {
+          commentStyle: 'regular',
+          content: {},
+        },
+      });
+
+      expect(() => instance.prependBanner('var foo = 0;')).toThrow(new Error(
+        '[rollup-plugin-license] -- Cannot find banner content, please specify an inline content, or a path to a file',
+      ));
+    });
+
+    it('should prepend banner to bundle with template', async () => {
+      const tmpl = await fs.readFile(bannerJs, 'utf-8');
+      const instance = licensePlugin({
+        banner: tmpl,
+      });
+
+      const result = instance.prependBanner(code);
+
+      verifyResult(result);
+    });
+
+    it('should prepend banner to bundle without source map', () => {
+      const instance = licensePlugin({
+        banner: {
+          content: {
+            file: bannerJs,
+          },
+        },
+      });
+
+      instance.disableSourceMap();
+
+      const result = instance.prependBanner(code);
+
+      verifyBanner(result);
+      expect(result.map).not.toBeDefined();
+    });
+
+    it('should not prepend default banner to bundle', () => {
+      const instance = licensePlugin();
+      const result = instance.prependBanner(code);
+
+      expect(result).toBeDefined();
+      expect(result.code).toBeDefined();
+      expect(result.map).toBeDefined();
+      expect(result.code).toBe(code);
+    });
+
+    it('should fail if banner file does not exist', () => {
+      const file = path.join(__dirname, 'fixtures', 'dummy');
+      const instance = licensePlugin({
+        banner: {
+          content: {
+            file,
+          },
+        },
+      });
+
+      expect(() => instance.prependBanner(code)).toThrow(new Error(
+        `[rollup-plugin-license] -- Template file ${file} does not exist, or cannot be read`,
+      ));
+    });
+
+    it('should prepend banner and create block comment', () => {
+      const instance = licensePlugin({
+        banner: {
+          content: {
+            file: bannerTxt,
+          },
+        },
+      });
+
+      const result = instance.prependBanner(code);
+
+      verifyBanner(result);
+    });
+
+    it('should prepend banner and create block comment with a custom style', () => {
+      const instance = licensePlugin({
+        banner: {
+          commentStyle: 'ignored',
+          content: {
+            file: bannerTxt,
+          },
+        },
+      });
+
+      const result = instance.prependBanner(code);
 
       expect(result).toBeDefined();
       expect(result.code).toEqual(join([
@@ -1020,6 +1596,39 @@ describe('LicensePlugin', () => {
       ]));
     });
 
+    it('should prepend banner and replace chunk placeholders', () => {
+      const instance = licensePlugin({
+        banner: '<%= chunk.fileName %> (<%= chunk.format %>): <%= _.map(chunkDependencies, "name").join(", ") %>',
+      });
+
+      // Load dependencies, only one being rendered in the chunk.
+      const chunkDependencies = instance.scanDependencies([
+        path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js'),
+      ]);
+
+      instance.scanDependency(path.join(__dirname, '..', 'node_modules', 'lodash', 'index.js'));
+
+      const result = instance.prependBanner(code, true, {
+        chunk: {
+          fileName: 'main.js',
+          name: 'main',
+          isEntry: true,
+          facadeModuleId: 'src/main.js',
+          format: 'es',
+        },
+        chunkDependencies,
+      });
+
+      expect(result).toBeDefined();
+      expect(result.code).toEqual(join([
+        '/**',
+        ' * main.js (es): fake-package',
+        ' */',
+        '',
+        code,
+      ]));
+    });
+
     function verifyResult(result) {
       verifyBanner(result);
       expect(result.map).toBeDefined();
@@ -1346,41 +1955,339 @@ describe('LicensePlugin', () => {
       });
     });
 
-    it('should not try to export dependencies without output configuration', () => {
+    it('should export list of dependencies to output file using given format', async () => {
       const self = false;
-      const instance = licensePlugin();
+      const file = path.join(tmpDir.name, 'bom.json');
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            format: 'cyclonedx',
+            file,
+          },
+        },
+      });
 
       instance.addDependency(pkg1, self);
       instance.addDependency(pkg2, self);
       instance.scanThirdParties();
+
+      await verifyFile(file, (content) => {
+        const bom = JSON.parse(content);
+        expect(bom.bomFormat).toBe('CycloneDX');
+        expect(bom.metadata.component.name).toBe('rollup-plugin-license');
+        expect(bom.components.length).toBe(2);
+        expect(bom.components[0].purl).toBe('pkg:npm/foo@1.0.0');
+        expect(bom.components[0].licenses).toEqual([{ expression: 'MIT' }]);
+        expect(bom.components[1].purl).toBe('pkg:npm/bar@2.0.0');
+        expect(bom.components[1].licenses).toEqual([{ license: { name: 'Apache 2.0' } }]);
+      });
     });
 
-    it('should export list of non-private dependencies to thirdParty function', () => {
+    it('should export NOTICE file and warn about Apache-2.0 dependencies without notice', async () => {
       const self = false;
-      const thirdParty = jasmine.createSpy('output');
+      const warn = spyOn(console, 'warn');
+      const file = path.join(tmpDir.name, 'NOTICE');
       const instance = licensePlugin({
-        thirdParty,
+        thirdParty: {
+          output: {
+            format: 'notice',
+            file,
+          },
+        },
       });
 
-      const privateDependency = {
-        ...pkg2,
-        private: true,
-      };
+      instance.addDependency({ ...pkg1, noticeText: 'Foo notice' }, self);
+      instance.addDependency({ ...pkg2, license: 'Apache-2.0' }, self);
+      instance.scanThirdParties();
 
-      instance.addDependency(pkg1, self);
-      instance.addDependency(privateDependency, self);
+      expect(warn).toHaveBeenCalledWith(
+        '[rollup-plugin-license] -- Dependency "bar" is licensed under Apache-2.0 but its NOTICE file cannot be found, please check its notices.',
+      );
 
-      instance.scanThirdParties();
+      await verifyFile(file, (content) => {
+        expect(content).toEqual(join([
+          'foo@1.0.0',
+          '===',
+          '',
+          'Foo notice',
+        ]));
+      });
+    });
 
-      expect(thirdParty).toHaveBeenCalledWith([
-        {
-          self,
-          name: 'foo',
-          version: '1.0.0',
-          description: 'Foo Package',
-          license: 'MIT',
+    it('should export list of dependencies using template instead of given format', async () => {
+      const self = false;
+      const file = path.join(tmpDir.name, 'third-party.txt');
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            format: 'cyclonedx',
+            template: '<% _.forEach(dependencies, function (dependency) { %><%= dependency.name %><% }) %>',
+            file,
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+      instance.scanThirdParties();
+
+      await verifyFile(file, (content) => {
+        expect(content).toEqual('foo');
+      });
+    });
+
+    it('should fail to export dependencies with unknown format', () => {
+      const self = false;
+      const file = path.join(tmpDir.name, 'third-party.txt');
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            format: 'foobar',
+            file,
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(
+        '[rollup-plugin-license] -- Unknown output format foobar, please use one of: ' +
+        'text,cyclonedx,spdx-json,spdx-tv,notice,json,html,markdown,csv,tsv',
+      ));
+    });
+
+    it('should emit list of dependencies as an asset', () => {
+      const self = false;
+      const context = jasmine.createSpyObj('context', ['emitFile']);
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            fileName: 'third-party.txt',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+      instance.scanThirdParties(context);
+
+      expect(context.emitFile).toHaveBeenCalledWith({
+        type: 'asset',
+        fileName: 'third-party.txt',
+        source: join([
+          'Name: foo',
+          'Version: 1.0.0',
+          'License: MIT',
+          'Private: false',
+          'Description: Foo Package',
+          'Author: Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+        ]),
+      });
+    });
+
+    it('should emit list of dependencies as an asset with custom encoding', () => {
+      const self = false;
+      const context = jasmine.createSpyObj('context', ['emitFile']);
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            fileName: 'third-party.txt',
+            encoding: 'base64',
+            template: 'Zm9v',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+      instance.scanThirdParties(context);
+
+      expect(context.emitFile).toHaveBeenCalledWith({
+        type: 'asset',
+        fileName: 'third-party.txt',
+        source: Buffer.from('foo'),
+      });
+    });
+
+    it('should fail to emit list of dependencies as an asset without rollup context', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            fileName: 'third-party.txt',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(
+        '[rollup-plugin-license] -- Cannot emit third-party.txt outside of rollup bundle generation',
+      ));
+    });
+
+    it('should fail to export list of dependencies without file', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            format: 'text',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(
+        '[rollup-plugin-license] -- Cannot find third-party output destination, please specify a file or a fileName',
+      ));
+    });
+
+    it('should emit list of dependencies of each chunk as an asset', () => {
+      const context = jasmine.createSpyObj('context', ['emitFile']);
+      const instance = licensePlugin({
+        thirdParty: {
+          includePrivate: true,
+          output: {
+            perChunk: true,
+            fileName: '[name].LICENSE.txt',
+            index: 'licenses.json',
+            template(dependencies) {
+              return dependencies.map((dependency) => dependency.name).join(',');
+            },
+          },
+        },
+      });
+
+      const moduleId1 = path.join(__dirname, 'fixtures', 'fake-package-1', 'src', 'index.js');
+      const moduleId2 = path.join(__dirname, '..', 'node_modules', 'lodash', 'index.js');
+      const bundle = {
+        'main.js': {
+          type: 'chunk',
+          name: 'main',
+          fileName: 'main.js',
+          modules: {
+            [moduleId1]: { renderedLength: 10 },
+            [moduleId2]: { renderedLength: 10 },
+          },
+        },
+        'vendor-abc.js': {
+          type: 'chunk',
+          name: 'vendor',
+          fileName: 'vendor-abc.js',
+          modules: {
+            [moduleId2]: { renderedLength: 10 },
+          },
+        },
+        'style.css': {
+          type: 'asset',
+          fileName: 'style.css',
+        },
+      };
+
+      instance.scanThirdParties(context, {}, bundle);
+
+      expect(context.emitFile).toHaveBeenCalledTimes(3);
+      expect(context.emitFile).toHaveBeenCalledWith({
+        type: 'asset',
+        fileName: 'main.LICENSE.txt',
+        source: 'fake-package,lodash',
+      });
+
+      expect(context.emitFile).toHaveBeenCalledWith({
+        type: 'asset',
+        fileName: 'vendor.LICENSE.txt',
+        source: 'lodash',
+      });
+
+      const indexAsset = context.emitFile.calls.mostRecent().args[0];
+      expect(indexAsset.fileName).toBe('licenses.json');
+      expect(JSON.parse(indexAsset.source)).toEqual({
+        'main.js': [
+          { name: 'fake-package', version: '1.0.0', license: 'MIT' },
+          jasmine.objectContaining({ name: 'lodash', license: 'MIT' }),
+        ],
+        'vendor-abc.js': [
+          jasmine.objectContaining({ name: 'lodash', license: 'MIT' }),
+        ],
+      });
+    });
+
+    it('should fail to export list of dependencies per chunk without bundle', () => {
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            perChunk: true,
+            fileName: '[name].LICENSE.txt',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, false);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(
+        '[rollup-plugin-license] -- Cannot export third-party summary per chunk outside of rollup bundle generation',
+      ));
+    });
+
+    it('should fail to export list of dependencies per chunk to a single file', () => {
+      const instance = licensePlugin({
+        thirdParty: {
+          output: {
+            perChunk: true,
+            fileName: 'LICENSE.txt',
+          },
+        },
+      });
+
+      instance.addDependency(pkg1, false);
+
+      expect(() => instance.scanThirdParties(null, {}, {})).toThrow(new Error(
+        '[rollup-plugin-license] -- Cannot export third-party summary per chunk to LICENSE.txt, ' +
+        'please use the [fileName] (or [name]) placeholder, i.e [fileName].LICENSE.txt',
+      ));
+    });
+
+    it('should not try to export dependencies without output configuration', () => {
+      const self = false;
+      const instance = licensePlugin();
+
+      instance.addDependency(pkg1, self);
+      instance.addDependency(pkg2, self);
+      instance.scanThirdParties();
+    });
+
+    it('should export list of non-private dependencies to thirdParty function', () => {
+      const self = false;
+      const thirdParty = jasmine.createSpy('output');
+      const instance = licensePlugin({
+        thirdParty,
+      });
+
+      const privateDependency = {
+        ...pkg2,
+        private: true,
+      };
+
+      instance.addDependency(pkg1, self);
+      instance.addDependency(privateDependency, self);
+
+      instance.scanThirdParties();
+
+      expect(thirdParty).toHaveBeenCalledWith([
+        {
+          self,
+          name: 'foo',
+          version: '1.0.0',
+          description: 'Foo Package',
+          license: 'MIT',
           licenseText: null,
+          licenseFiles: [],
           noticeText: null,
+          copyrights: [],
+          integrity: null,
+          path: null,
+          file: null,
+          modules: [],
+          originalLicense: null,
+          inferredLicense: null,
           private: false,
           homepage: null,
           repository: null,
@@ -1422,7 +2329,15 @@ describe('LicensePlugin', () => {
           description: 'Foo Package',
           license: 'MIT',
           licenseText: null,
+          licenseFiles: [],
           noticeText: null,
+          copyrights: [],
+          integrity: null,
+          path: null,
+          file: null,
+          modules: [],
+          originalLicense: null,
+          inferredLicense: null,
           private: false,
           homepage: null,
           repository: null,
@@ -1466,7 +2381,15 @@ describe('LicensePlugin', () => {
           description: 'Foo Package',
           license: 'MIT',
           licenseText: null,
+          licenseFiles: [],
           noticeText: null,
+          copyrights: [],
+          integrity: null,
+          path: null,
+          file: null,
+          modules: [],
+          originalLicense: null,
+          inferredLicense: null,
           private: false,
           maintainers: [],
           contributors: [],
@@ -1485,7 +2408,15 @@ describe('LicensePlugin', () => {
           description: 'Bar Package',
           license: 'Apache 2.0',
           licenseText: null,
+          licenseFiles: [],
           noticeText: null,
+          copyrights: [],
+          integrity: null,
+          path: null,
+          file: null,
+          modules: [],
+          originalLicense: null,
+          inferredLicense: null,
           maintainers: [],
           contributors: [],
           author: null,
@@ -1598,6 +2529,21 @@ describe('LicensePlugin', () => {
       verifyWarnAboutApache2License();
     });
 
+    it('should check license identified from license text of dependencies without license', () => {
+      const self = false;
+      const allow = '(Apache-2.0 OR MIT)';
+      const instance = licensePlugin({
+        thirdParty: {
+          allow,
+        },
+      });
+
+      instance.addDependency({ ...unlicensedDependency, inferredLicense: 'MIT' }, self);
+      instance.scanThirdParties();
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+
     it('should warn for unlicensed dependencies', () => {
       const self = false;
       const allow = '(Apache-2.0 OR MIT)';
@@ -1682,9 +2628,11 @@ describe('LicensePlugin', () => {
       instance.addDependency(apache2Dependency, self);
       instance.addDependency(mitDependency, self);
 
-      expect(() => instance.scanThirdParties()).toThrow(new Error(
-        'Dependency "baz" does not specify any license.',
-      ));
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 1 license violation:',
+        '  - baz@3.0.0 -- no license -- unknown path',
+        '    Dependency "baz" does not specify any license.',
+      ])));
     });
 
     it('should fail with license violation if enabled', () => {
@@ -1703,11 +2651,423 @@ describe('LicensePlugin', () => {
       instance.addDependency(apache2Dependency, self);
       instance.addDependency(mitDependency, self);
 
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 1 license violation:',
+        '  - foo@1.0.0 -- Apache-2.0 -- unknown path',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+      ])));
+    });
+
+    it('should fail once with all license violations', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          multipleVersions: true,
+          allow: {
+            test: 'MIT',
+            failOnUnlicensed: true,
+            failOnViolation: true,
+          },
+        },
+      });
+
+      instance.addDependency(apache2Dependency, self);
+      instance.addDependency(unlicensedDependency, self);
+      instance.addDependency(mitDependency, self);
+      instance.addDependency({ ...apache2Dependency, version: '0.1.0', path: '/node_modules/foo' }, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 3 license violations:',
+        '  - baz@3.0.0 -- no license -- unknown path',
+        '    Dependency "baz" does not specify any license.',
+        '  - foo@0.1.0 -- Apache-2.0 -- /node_modules/foo',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        '  - foo@1.0.0 -- Apache-2.0 -- unknown path',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+      ])));
+    });
+
+    it('should fail with license violations sorted by semver versions', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          multipleVersions: true,
+          allow: {
+            test: 'MIT',
+            failOnViolation: true,
+          },
+        },
+      });
+
+      instance.addDependency({ ...apache2Dependency, version: '1.10.0', path: '/node_modules/foo' }, self);
+      instance.addDependency({ ...apache2Dependency, version: '1.9.0', path: '/node_modules/bar/node_modules/foo' }, self);
+      instance.addDependency({ ...apache2Dependency, version: null, path: '/node_modules/baz/node_modules/foo' }, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 3 license violations:',
+        '  - foo -- Apache-2.0 -- /node_modules/baz/node_modules/foo',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        '  - foo@1.9.0 -- Apache-2.0 -- /node_modules/bar/node_modules/foo',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        '  - foo@1.10.0 -- Apache-2.0 -- /node_modules/foo',
+        '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+      ])));
+    });
+
+    it('should report license violations through rollup if available', () => {
+      const self = false;
+      const context = jasmine.createSpyObj('context', ['warn', 'error']);
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: 'MIT',
+        },
+      });
+
+      instance.setContext(context);
+      instance.addDependency(unlicensedDependency, self);
+      instance.addDependency(apache2Dependency, self);
+      instance.scanThirdParties(context);
+
+      expect(warn).not.toHaveBeenCalled();
+      expect(context.warn).toHaveBeenCalledWith({
+        code: 'UNLICENSED_DEPENDENCY',
+        message: 'Dependency "baz" does not specify any license.',
+        meta: { dependency: instance._dependencies.get('baz') },
+      });
+
+      expect(context.warn).toHaveBeenCalledWith({
+        code: 'LICENSE_VIOLATION',
+        message: 'Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        meta: { dependency: instance._dependencies.get('foo') },
+      });
+    });
+
+    it('should fail with license violation through rollup if available', () => {
+      const self = false;
+      const rollupError = new Error('rollup error');
+      const context = jasmine.createSpyObj('context', ['warn', 'error']);
+      context.error.and.throwError(rollupError);
+
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            test: 'MIT',
+            failOnViolation: true,
+          },
+        },
+      });
+
+      instance.setContext(context);
+      instance.addDependency(apache2Dependency, self);
+
+      expect(() => instance.scanThirdParties(context)).toThrow(rollupError);
+      expect(context.error).toHaveBeenCalledWith({
+        code: 'LICENSE_VIOLATION',
+        message: join([
+          'Found 1 license violation:',
+          '  - foo@1.0.0 -- Apache-2.0 -- unknown path',
+          '    Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        ]),
+        meta: {
+          violations: [{
+            code: 'LICENSE_VIOLATION',
+            message: 'Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+            meta: { dependency: instance._dependencies.get('foo') },
+          }],
+        },
+      });
+    });
+
+    it('should warn for dependencies rejected by license policy', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            policy: {
+              allow: ['MIT', 'Apache-2.0'],
+              deny: ['Apache-2.0'],
+            },
+          },
+        },
+      });
+
+      instance.addDependency(unlicensedDependency, self);
+      instance.addDependency(apache2Dependency, self);
+      instance.addDependency(mitDependency, self);
+      instance.scanThirdParties();
+
+      expect(warn).toHaveBeenCalledTimes(2);
+      verifyWarnAboutUnlicensedLicense();
+      expect(warn).toHaveBeenCalledWith(
+        '[rollup-plugin-license] -- ' +
+        'Dependency "foo" has a license (Apache-2.0) which is rejected by license policy (deny: Apache-2.0), ' +
+        'looks like a license violation to fix.',
+      );
+    });
+
+    it('should allow dependencies with a license policy exception', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            failOnUnlicensed: true,
+            failOnViolation: true,
+            policy: {
+              deny: ['Apache-2.0'],
+              exceptions: [
+                { name: 'foo', version: '^1.0.0', justification: 'Approved' },
+                { name: 'baz' },
+              ],
+            },
+          },
+        },
+      });
+
+      instance.addDependency(unlicensedDependency, self);
+      instance.addDependency(apache2Dependency, self);
+      instance.addDependency(mitDependency, self);
+      instance.scanThirdParties();
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should warn about expired license policy exception', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            policy: {
+              allow: 'MIT',
+              exceptions: [
+                {
+                  name: 'foo',
+                  version: '^1.0.0',
+                  justification: 'Approved',
+                  expires: '2020-01-01',
+                },
+              ],
+            },
+          },
+        },
+      });
+
+      instance.addDependency(apache2Dependency, self);
+      instance.scanThirdParties();
+
+      expect(warn).toHaveBeenCalledTimes(2);
+      expect(warn).toHaveBeenCalledWith(
+        '[rollup-plugin-license] -- License policy exception for "foo" (^1.0.0) expired on 2020-01-01: Approved',
+      );
+
+      expect(warn).toHaveBeenCalledWith(
+        '[rollup-plugin-license] -- ' +
+        'Dependency "foo" has a license (Apache-2.0) which is rejected by license policy (not in allow list: MIT), ' +
+        'looks like a license violation to fix.',
+      );
+    });
+
+    it('should check both license policy and test', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            test: 'MIT',
+            policy: {
+              deny: 'GPL-3.0-only',
+            },
+          },
+        },
+      });
+
+      instance.addDependency(apache2Dependency, self);
+      instance.scanThirdParties();
+
+      verifyWarnAboutApache2License();
+    });
+
+    it('should read license policy from file', () => {
+      const self = false;
+      const policyFile = path.join(__dirname, 'fixtures', 'license-policy.yml');
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            policy: policyFile,
+            failOnViolation: true,
+          },
+        },
+      });
+
+      instance.addDependency({ ...apache2Dependency, name: 'qux', license: 'GPL-3.0-only' }, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 1 license violation:',
+        '  - qux@1.0.0 -- GPL-3.0-only -- unknown path',
+        '    Dependency "qux" has a license (GPL-3.0-only) which is rejected by license policy (deny: GPL-3.0-only), ' +
+        'looks like a license violation to fix.',
+      ])));
+
+      expect(instance.watchFiles()).toContain(policyFile);
+    });
+
+    it('should fail if license policy file does not exist', () => {
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            policy: 'missing-policy.json',
+          },
+        },
+      });
+
       expect(() => instance.scanThirdParties()).toThrow(new Error(
-        'Dependency "foo" has a license (Apache-2.0) which is not compatible with requirement, looks like a license violation to fix.',
+        `[rollup-plugin-license] -- License policy file ${path.join(process.cwd(), 'missing-policy.json')} does not exist, or cannot be read`,
       ));
     });
 
+    it('should warn for dependencies incompatible with project license', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            compatibility: true,
+          },
+        },
+      });
+
+      instance._pkg = { license: 'UNLICENSED' };
+      instance.addDependency(mitDependency, self);
+      instance.addDependency({ ...apache2Dependency, license: 'LGPL-3.0-only' }, self);
+      instance.scanThirdParties();
+
+      expect(warn).toHaveBeenCalledOnceWith(
+        '[rollup-plugin-license] -- Dependency "foo" has a license which is not compatible with the project license: ' +
+        'LGPL-3.0-only (weak copyleft) is incompatible with UNLICENSED distribution (proprietary).',
+      );
+    });
+
+    it('should fail for dependencies incompatible with project license', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            test: '(MIT OR GPL-3.0-only)',
+            compatibility: true,
+            failOnViolation: true,
+          },
+        },
+      });
+
+      instance._pkg = { license: 'MIT' };
+      instance.addDependency(mitDependency, self);
+      instance.addDependency({ ...apache2Dependency, license: 'GPL-3.0-only' }, self);
+
+      expect(() => instance.scanThirdParties()).toThrow(new Error(join([
+        'Found 1 license violation:',
+        '  - foo@1.0.0 -- GPL-3.0-only -- unknown path',
+        '    Dependency "foo" has a license which is not compatible with the project license: ' +
+        'GPL-3.0-only (strong copyleft) is incompatible with MIT distribution (permissive).',
+      ])));
+    });
+
+    it('should warn for dependencies with license not matching license text', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: '(MIT OR Apache-2.0)',
+        },
+      });
+
+      instance.addDependency({ ...mitDependency, inferredLicense: 'MIT' }, self);
+      instance.addDependency({ ...apache2Dependency, inferredLicense: 'GPL-3.0-only' }, self);
+      instance.scanThirdParties();
+
+      expect(warn).toHaveBeenCalledOnceWith(
+        '[rollup-plugin-license] -- ' +
+        'Dependency "foo" declares license Apache-2.0 but ships a GPL-3.0-only license text, please check its actual license.',
+      );
+    });
+
+    it('should fail for dependencies with license not matching license text', () => {
+      const self = false;
+      const context = jasmine.createSpyObj('context', ['warn', 'error']);
+      context.error.and.throwError(new Error('rollup error'));
+
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            test: '(MIT OR Apache-2.0)',
+            failOnMismatch: true,
+          },
+        },
+      });
+
+      instance.setContext(context);
+      instance.addDependency({ ...mitDependency, inferredLicense: 'GPL-3.0-only' }, self);
+
+      expect(() => instance.scanThirdParties(context)).toThrow(new Error('rollup error'));
+      expect(context.error).toHaveBeenCalledOnceWith({
+        code: 'LICENSE_MISMATCH',
+        message: join([
+          'Found 1 license violation:',
+          '  - bar@2.0.0 -- MIT -- unknown path',
+          '    Dependency "bar" declares license MIT but ships a GPL-3.0-only license text, please check its actual license.',
+        ]),
+        meta: {
+          violations: [
+            {
+              code: 'LICENSE_MISMATCH',
+              message: 'Dependency "bar" declares license MIT but ships a GPL-3.0-only license text, please check its actual license.',
+              meta: {
+                dependency: instance._dependencies.get('bar'),
+                license: 'MIT',
+                inferredLicense: 'GPL-3.0-only',
+              },
+            },
+          ],
+        },
+      });
+    });
+
+    it('should not report mismatch for dependencies with a license policy exception', () => {
+      const self = false;
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            failOnMismatch: true,
+            policy: {
+              allow: ['MIT'],
+              exceptions: [
+                { name: 'bar', justification: 'Approved' },
+              ],
+            },
+          },
+        },
+      });
+
+      instance.addDependency({ ...mitDependency, inferredLicense: 'GPL-3.0-only' }, self);
+
+      expect(() => instance.scanThirdParties()).not.toThrow();
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should not report mismatch for license text with small variations', () => {
+      const instance = licensePlugin({
+        thirdParty: {
+          allow: {
+            test: 'BSD-3-Clause',
+            failOnMismatch: true,
+          },
+        },
+      });
+
+      // The third clause of this BSD-3-Clause license text names an organization, instead of "the copyright holder".
+      const dependency = instance.scanDependency(path.join(__dirname, 'fixtures', 'fake-package-17', 'src', 'index.js'));
+
+      expect(dependency.license).toBe('BSD-3-Clause');
+      expect(dependency.inferredLicense).toBe('BSD-3-Clause');
+      expect(() => instance.scanThirdParties()).not.toThrow();
+      expect(warn).not.toHaveBeenCalled();
+    });
+
     function verifyWarnAboutApache2License() {
       expect(warn).toHaveBeenCalledWith(
         '[rollup-plugin-license] -- ' +
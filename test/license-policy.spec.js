@@ -0,0 +1,208 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import path from 'node:path';
+import moment from 'moment';
+import { checkLicensePolicy, loadLicensePolicy, normalizeLicensePolicy } from '../src/license-policy';
+
+describe('licensePolicy', () => {
+  describe('loadLicensePolicy', () => {
+    const expected = {
+      allow: ['MIT', 'Apache-2.0'],
+      deny: ['GPL-3.0-only'],
+      exceptions: [
+        {
+          name: 'foo',
+          version: '^1.0.0',
+          justification: 'Approved by legal team',
+          expires: jasmine.anything(),
+        },
+      ],
+    };
+
+    it('should load JSON policy file', () => {
+      const policy = loadLicensePolicy(path.join(__dirname, 'fixtures', 'license-policy.json'));
+      expect(policy).toEqual(expected);
+    });
+
+    it('should load YAML policy file', () => {
+      const policy = loadLicensePolicy(path.join(__dirname, 'fixtures', 'license-policy.yml'));
+      expect(policy).toEqual(expected);
+      expect(moment(policy.exceptions[0].expires).format('YYYY-MM-DD')).toBe('2100-12-31');
+    });
+  });
+
+  describe('normalizeLicensePolicy', () => {
+    it('should normalize rules to arrays', () => {
+      expect(normalizeLicensePolicy({ allow: 'MIT' })).toEqual({
+        allow: ['MIT'],
+        deny: [],
+        exceptions: [],
+        allowCustomLicenses: false,
+      });
+    });
+  });
+
+  describe('checkLicensePolicy', () => {
+    let policy;
+    let now;
+
+    beforeEach(() => {
+      now = moment('2024-06-01');
+      policy = normalizeLicensePolicy({
+        allow: ['MIT', 'Apache-2.0'],
+        deny: ['GPL-3.0-only'],
+        exceptions: [
+          {
+            name: 'foo',
+            version: '^1.0.0',
+            justification: 'Approved',
+            expires: '2024-12-31',
+          },
+          { name: 'bar', expires: '2024-01-01' },
+        ],
+      });
+    });
+
+    it('should allow dependency with allowed license', () => {
+      const result = checkLicensePolicy(policy, { name: 'baz', version: '1.0.0', license: 'MIT' }, now);
+      expect(result.allowed).toBe(true);
+      expect(result.rule).toEqual({ type: 'allow', description: 'allow: MIT, Apache-2.0', licenses: ['MIT', 'Apache-2.0'] });
+      expect(result.expiredExceptions).toEqual([]);
+    });
+
+    it('should reject dependency with license not in allow list', () => {
+      const result = checkLicensePolicy(policy, { name: 'baz', version: '1.0.0', license: 'ISC' }, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule.type).toBe('allow');
+      expect(result.rule.description).toBe('not in allow list: MIT, Apache-2.0');
+    });
+
+    it('should reject dependency with denied license', () => {
+      const result = checkLicensePolicy(policy, { name: 'baz', version: '1.0.0', license: 'GPL-3.0-only' }, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule).toEqual({ type: 'deny', description: 'deny: GPL-3.0-only', licenses: ['GPL-3.0-only'] });
+    });
+
+    it('should not reject dependency with an alternative to denied license', () => {
+      const result = checkLicensePolicy(policy, { name: 'baz', version: '1.0.0', license: '(MIT OR GPL-3.0-only)' }, now);
+      expect(result.allowed).toBe(true);
+      expect(result.rule.type).toBe('allow');
+    });
+
+    it('should reject unlicensed dependency', () => {
+      const result = checkLicensePolicy(policy, { name: 'baz', version: '1.0.0', license: null }, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule.type).toBe('unlicensed');
+    });
+
+    it('should allow dependency without any allow list', () => {
+      const result = checkLicensePolicy(normalizeLicensePolicy({ deny: 'GPL-3.0-only' }), { name: 'baz', license: 'ISC' }, now);
+      expect(result.allowed).toBe(true);
+      expect(result.rule.type).toBe('default');
+    });
+
+    it('should reject dependency with a variant of denied license', () => {
+      const denyPolicy = normalizeLicensePolicy({
+        deny: ['GPL-3.0-only', 'AGPL-3.0-only'],
+      });
+
+      ['GPL-3.0-or-later', 'GPL-3.0', 'GPL-3.0+', 'AGPL-3.0', 'gpl-3.0-only'].forEach((license) => {
+        const result = checkLicensePolicy(denyPolicy, { name: 'baz', version: '1.0.0', license }, now);
+        expect(result.allowed).withContext(license).toBe(false);
+        expect(result.rule).withContext(license).toEqual({ type: 'deny', description: `deny: ${license}`, licenses: [license] });
+      });
+
+      ['GPL-2.0-only', 'LGPL-3.0-only', 'GPL-3.0-only WITH GCC-exception-3.1'].forEach((license) => {
+        const result = checkLicensePolicy(denyPolicy, { name: 'baz', version: '1.0.0', license }, now);
+        expect(result.allowed).withContext(license).toBe(true);
+      });
+    });
+
+    it('should check custom license using inferred license', () => {
+      const dependency = {
+        name: 'baz',
+        version: '1.0.0',
+        license: 'SEE LICENSE IN LICENSE.md',
+        inferredLicense: 'GPL-3.0-only',
+      };
+
+      const result = checkLicensePolicy(policy, dependency, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule.type).toBe('deny');
+
+      expect(checkLicensePolicy(policy, { ...dependency, inferredLicense: 'MIT' }, now).allowed).toBe(true);
+    });
+
+    it('should reject custom license that cannot be identified', () => {
+      const dependency = {
+        name: 'baz',
+        version: '1.0.0',
+        license: 'SEE LICENSE IN LICENSE.md',
+        inferredLicense: null,
+      };
+
+      expect(checkLicensePolicy(policy, dependency, now)).toEqual({
+        allowed: false,
+        rule: { type: 'custom', description: 'custom license not allowed' },
+        expiredExceptions: [],
+      });
+
+      expect(checkLicensePolicy({ ...policy, allowCustomLicenses: true }, dependency, now)).toEqual({
+        allowed: true,
+        rule: { type: 'custom', description: 'custom license allowed' },
+        expiredExceptions: [],
+      });
+    });
+
+    it('should allow dependency matching an exception', () => {
+      const result = checkLicensePolicy(policy, { name: 'foo', version: '1.2.0', license: 'GPL-3.0-only' }, now);
+      expect(result.allowed).toBe(true);
+      expect(result.rule).toEqual({
+        type: 'exception',
+        description: 'exception: foo@^1.0.0, Approved',
+        exception: policy.exceptions[0],
+      });
+    });
+
+    it('should not apply exception outside of its version range', () => {
+      const result = checkLicensePolicy(policy, { name: 'foo', version: '2.0.0', license: 'GPL-3.0-only' }, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule.type).toBe('deny');
+    });
+
+    it('should not apply expired exception', () => {
+      const result = checkLicensePolicy(policy, { name: 'bar', version: '1.0.0', license: 'GPL-3.0-only' }, now);
+      expect(result.allowed).toBe(false);
+      expect(result.rule.type).toBe('deny');
+      expect(result.expiredExceptions).toEqual([policy.exceptions[1]]);
+    });
+
+    it('should apply exception until its expiry date', () => {
+      const result = checkLicensePolicy(policy, { name: 'foo', version: '1.0.0', license: 'GPL-3.0-only' }, moment('2024-12-31T23:00:00'));
+      expect(result.allowed).toBe(true);
+      expect(result.expiredExceptions).toEqual([]);
+    });
+  });
+});
@@ -41,4 +41,69 @@ describe('licenseValidator', () => {
     expect(licenseValidator.isValid({ license: 'MIT' }, '(MIT OR Apache-2.0)')).toBe(true);
     expect(licenseValidator.isValid({ license: 'GPL' }, '(MIT OR Apache-2.0)')).toBe(false);
   });
+
+  it('should use license identified from license text when license is missing', () => {
+    expect(licenseValidator.effectiveLicense({ license: 'MIT' })).toBe('MIT');
+    expect(licenseValidator.effectiveLicense({ license: 'Apache-2.0', inferredLicense: 'MIT' })).toBe('Apache-2.0');
+    expect(licenseValidator.effectiveLicense({ license: null, inferredLicense: 'MIT' })).toBe('MIT');
+    expect(licenseValidator.effectiveLicense({ license: 'SEE LICENSE IN LICENSE.md', inferredLicense: 'ISC' })).toBe('ISC');
+    expect(licenseValidator.effectiveLicense({ license: 'UNLICENSED', inferredLicense: 'MIT' })).toBe('UNLICENSED');
+    expect(licenseValidator.effectiveLicense({})).toBeNull();
+
+    expect(licenseValidator.isUnlicensed({ license: null, inferredLicense: 'MIT' })).toBe(false);
+    expect(licenseValidator.isValid({ license: null, inferredLicense: 'MIT' }, 'MIT')).toBe(true);
+  });
+
+  it('should check if declared license does not match license text', () => {
+    expect(licenseValidator.isMismatch({ license: 'MIT', inferredLicense: 'GPL-3.0-only' })).toBe(true);
+    expect(licenseValidator.isMismatch({ license: '(MIT OR Apache-2.0)', inferredLicense: 'ISC' })).toBe(true);
+
+    expect(licenseValidator.isMismatch({ license: 'MIT', inferredLicense: 'MIT' })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: '(MIT OR Apache-2.0)', inferredLicense: 'Apache-2.0' })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: 'GPL-3.0-or-later', inferredLicense: 'GPL-3.0-only' })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: 'GPL-2.0+ WITH Classpath-exception-2.0', inferredLicense: 'GPL-2.0-only' })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: 'MIT', inferredLicense: null })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: null, inferredLicense: 'MIT' })).toBe(false);
+    expect(licenseValidator.isMismatch({ license: 'SEE LICENSE IN LICENSE.md', inferredLicense: 'MIT' })).toBe(false);
+  });
+
+  it('should check if dependency is licensed under Apache-2.0', () => {
+    expect(licenseValidator.isApacheLicensed({ license: 'Apache-2.0' })).toBe(true);
+    expect(licenseValidator.isApacheLicensed({ license: '(MIT AND Apache-2.0)' })).toBe(true);
+    expect(licenseValidator.isApacheLicensed({ license: 'Apache-2.0 WITH LLVM-exception' })).toBe(true);
+    expect(licenseValidator.isApacheLicensed({ license: null, inferredLicense: 'Apache-2.0' })).toBe(true);
+
+    expect(licenseValidator.isApacheLicensed({ license: '(MIT OR Apache-2.0)' })).toBe(false);
+    expect(licenseValidator.isApacheLicensed({ license: 'MIT' })).toBe(false);
+    expect(licenseValidator.isApacheLicensed({ license: null })).toBe(false);
+  });
+
+  it('should get license file of custom license', () => {
+    expect(licenseValidator.customLicenseFile('SEE LICENSE IN LICENSE.md')).toBe('LICENSE.md');
+    expect(licenseValidator.customLicenseFile('  see licence in legal/EULA.txt ')).toBe('legal/EULA.txt');
+    expect(licenseValidator.customLicenseFile('MIT')).toBeNull();
+    expect(licenseValidator.customLicenseFile(null)).toBeNull();
+  });
+
+  it('should correct invalid SPDX license', () => {
+    expect(licenseValidator.correct('Apache 2.0')).toBe('Apache-2.0');
+    expect(licenseValidator.correct('BSD')).toBe('BSD-2-Clause');
+    expect(licenseValidator.correct('MIT/X11')).toBe('MIT');
+    expect(licenseValidator.correct('GPLv2')).toBe('GPL-2.0-only');
+  });
+
+  it('should correct each license of an expression', () => {
+    expect(licenseValidator.correct('(MIT or Apache 2.0)')).toBe('(MIT OR Apache-2.0)');
+    expect(licenseValidator.correct('MIT AND BSD')).toBe('MIT AND BSD-2-Clause');
+    expect(licenseValidator.correct('GPLv2 WITH Classpath-exception-2.0')).toBe('GPL-2.0-only WITH Classpath-exception-2.0');
+  });
+
+  it('should not correct valid, unlicensed or unknown license', () => {
+    expect(licenseValidator.correct('MIT')).toBeNull();
+    expect(licenseValidator.correct('UNLICENSED')).toBeNull();
+    expect(licenseValidator.correct('SEE LICENSE IN LICENSE.txt')).toBeNull();
+    expect(licenseValidator.correct('Custom')).toBeNull();
+    expect(licenseValidator.correct('MIT OR Custom')).toBeNull();
+    expect(licenseValidator.correct(null)).toBeNull();
+  });
 });
@@ -0,0 +1,144 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatCsv, formatTsv } from '../src/output-csv';
+
+describe('CSV output', () => {
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: 'MIT',
+        description: 'Foo, "the" package',
+        repository: {
+          type: 'git',
+          url: 'https://github.com/foo/foo',
+        },
+      }),
+
+      new Dependency({
+        name: 'bar',
+        version: '2.0.0',
+        license: 'Apache-2.0',
+        description: 'Bar\npackage',
+        author: 'Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+        contributors: ['John Doe', 'Jane Doe'],
+      }),
+    ];
+  });
+
+  describe('formatCsv', () => {
+    it('should generate CSV report with default columns', () => {
+      expect(formatCsv(dependencies, { options: {} })).toEqual([
+        'name,version,license,description,repository,homepage',
+        'foo,1.0.0,MIT,"Foo, ""the"" package",https://github.com/foo/foo,',
+        'bar,2.0.0,Apache-2.0,"Bar\npackage",,',
+      ].join('\r\n'));
+    });
+
+    it('should generate CSV report with given columns', () => {
+      const options = {
+        columns: ['name', 'author', 'contributors', 'private'],
+      };
+
+      expect(formatCsv(dependencies, { options })).toEqual([
+        'name,author,contributors,private',
+        'foo,,,false',
+        'bar,Mickael Jeanroy <mickael.jeanroy@gmail.com>,John Doe; Jane Doe,false',
+      ].join('\r\n'));
+    });
+
+    it('should generate CSV report with chunks column', () => {
+      const options = {
+        columns: ['name', 'chunks'],
+      };
+
+      const chunks = jasmine.createSpy('chunks').and.returnValue(new Map([
+        [dependencies[0], ['main.js', 'vendor.js']],
+      ]));
+
+      expect(formatCsv(dependencies, { options, chunks })).toEqual([
+        'name,chunks',
+        'foo,main.js; vendor.js',
+        'bar,',
+      ].join('\r\n'));
+    });
+
+    it('should not scan chunks without chunks column', () => {
+      const chunks = jasmine.createSpy('chunks');
+
+      formatCsv(dependencies, { options: {}, chunks });
+
+      expect(chunks).not.toHaveBeenCalled();
+    });
+
+    it('should fail with unknown column', () => {
+      const options = {
+        columns: ['name', 'foo'],
+      };
+
+      expect(() => formatCsv(dependencies, { options })).toThrowError(
+        /^\[rollup-plugin-license\] -- Unknown column foo, please use one of: /,
+      );
+    });
+
+    it('should protect values against formula injection', () => {
+      dependencies[0].description = '=HYPERLINK("https://example.com", "Click")';
+      dependencies[1].description = '@SUM(1+1)';
+
+      expect(formatCsv(dependencies, { options: { columns: ['name', 'description'] } })).toEqual([
+        'name,description',
+        'foo,"\'=HYPERLINK(""https://example.com"", ""Click"")"',
+        'bar,\'@SUM(1+1)',
+      ].join('\r\n'));
+    });
+  });
+
+  describe('formatTsv', () => {
+    it('should generate TSV report replacing tabs and line breaks', () => {
+      dependencies[0].description = 'Foo\tpackage';
+
+      expect(formatTsv(dependencies, { options: { columns: ['name', 'description', 'homepage'] } })).toEqual([
+        'name\tdescription\thomepage',
+        'foo\tFoo package\t',
+        'bar\tBar package\t',
+      ].join('\n'));
+    });
+
+    it('should protect values against formula injection', () => {
+      dependencies[0].description = '+cmd|calc';
+      dependencies[1].description = '\t-1';
+
+      expect(formatTsv(dependencies, { options: { columns: ['name', 'description'] } })).toEqual([
+        'name\tdescription',
+        'foo\t\'+cmd|calc',
+        'bar\t\' -1',
+      ].join('\n'));
+    });
+  });
+});
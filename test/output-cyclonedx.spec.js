@@ -0,0 +1,250 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatCycloneDx } from '../src/output-cyclonedx';
+
+describe('formatCycloneDx', () => {
+  let pkg;
+
+  beforeEach(() => {
+    pkg = {
+      name: 'my-app',
+      version: '1.0.0',
+      license: 'UNLICENSED',
+    };
+  });
+
+  it('should generate CycloneDX document', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        description: 'Foo Package',
+        license: 'MIT',
+        homepage: 'https://www.foo.com',
+        repository: {
+          type: 'git',
+          url: 'https://github.com/foo/foo',
+        },
+        author: 'Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+        _integrity: 'sha1-AQID',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.bomFormat).toBe('CycloneDX');
+    expect(bom.specVersion).toBe('1.5');
+    expect(bom.version).toBe(1);
+    expect(bom.serialNumber).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(bom.metadata.timestamp).toBeDefined();
+    expect(bom.metadata.tools).toEqual({
+      components: [
+        { type: 'application', name: 'rollup-plugin-license' },
+      ],
+    });
+
+    expect(bom.metadata.component).toEqual({
+      'type': 'application',
+      'bom-ref': 'pkg:npm/my-app@1.0.0',
+      'name': 'my-app',
+      'version': '1.0.0',
+      'licenses': [{ license: { name: 'UNLICENSED' } }],
+      'purl': 'pkg:npm/my-app@1.0.0',
+    });
+
+    expect(bom.components).toEqual([
+      {
+        'type': 'library',
+        'bom-ref': 'pkg:npm/foo@1.0.0',
+        'name': 'foo',
+        'version': '1.0.0',
+        'description': 'Foo Package',
+        'author': 'Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+        'licenses': [{ expression: 'MIT' }],
+        'purl': 'pkg:npm/foo@1.0.0',
+        'hashes': [{ alg: 'SHA-1', content: '010203' }],
+        'externalReferences': [
+          { type: 'vcs', url: 'https://github.com/foo/foo' },
+          { type: 'website', url: 'https://www.foo.com' },
+        ],
+      },
+    ]);
+  });
+
+  it('should generate CycloneDX component with SPDX expression', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        licenses: [
+          { type: 'MIT' },
+          { type: 'Apache-2.0' },
+        ],
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components[0].licenses).toEqual([
+      { expression: '(MIT OR Apache-2.0)' },
+    ]);
+  });
+
+  it('should generate CycloneDX component with license identified from license text', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        inferredLicense: 'MIT',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components[0].licenses).toEqual([
+      { expression: 'MIT' },
+    ]);
+  });
+
+  it('should generate CycloneDX license evidence of each license file', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: '(MIT OR Apache-2.0)',
+        licenseFiles: [
+          { name: 'LICENSE-APACHE', content: 'Apache License text' },
+          { name: 'LICENSE-MIT', content: 'MIT License text' },
+        ],
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components[0].evidence).toEqual({
+      licenses: [
+        { license: { name: 'LICENSE-APACHE', text: { contentType: 'text/plain', content: 'Apache License text' } } },
+        { license: { name: 'LICENSE-MIT', text: { contentType: 'text/plain', content: 'MIT License text' } } },
+      ],
+    });
+  });
+
+  it('should generate CycloneDX component copyright', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        licenseText: 'Copyright (c) 2019 Jane Doe',
+        noticeText: 'Copyright (c) 2020 John Doe',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components[0].copyright).toBe('Copyright (c) 2019 Jane Doe\nCopyright (c) 2020 John Doe');
+  });
+
+  it('should generate CycloneDX file component', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'src/vendor/foo.js',
+        file: 'src/vendor/foo.js',
+        license: 'BSD-3-Clause',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components).toEqual([
+      {
+        'type': 'file',
+        'bom-ref': 'file:src/vendor/foo.js',
+        'name': 'src/vendor/foo.js',
+        'licenses': [{ expression: 'BSD-3-Clause' }],
+      },
+    ]);
+  });
+
+  it('should generate CycloneDX component without licenses and hashes', () => {
+    const dependencies = [
+      new Dependency({
+        name: '@scope/foo',
+        version: '1.0.0',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components).toEqual([
+      {
+        'type': 'library',
+        'bom-ref': 'pkg:npm/%40scope/foo@1.0.0',
+        'name': '@scope/foo',
+        'version': '1.0.0',
+        'purl': 'pkg:npm/%40scope/foo@1.0.0',
+      },
+    ]);
+  });
+
+  it('should not generate CycloneDX component of the project being built', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'my-app',
+        version: '1.0.0',
+        license: 'UNLICENSED',
+      }),
+
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: 'MIT',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.metadata.component['bom-ref']).toBe('pkg:npm/my-app@1.0.0');
+    expect(bom.components.map((component) => component['bom-ref'])).toEqual([
+      'pkg:npm/foo@1.0.0',
+    ]);
+  });
+
+  it('should ignore unknown hash algorithms', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        _integrity: 'md5-AQID sha512-AQID',
+      }),
+    ];
+
+    const bom = JSON.parse(formatCycloneDx(dependencies, { pkg }));
+
+    expect(bom.components[0].hashes).toEqual([
+      { alg: 'SHA-512', content: '010203' },
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatHtml } from '../src/output-html';
+
+describe('formatHtml', () => {
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: 'MIT',
+        licenseText: 'The MIT License <MIT>',
+        homepage: 'https://www.foo.com',
+        author: 'Mickael Jeanroy <mickael.jeanroy@gmail.com>',
+      }),
+
+      new Dependency({
+        name: 'bar',
+        version: '2.0.0',
+        license: 'Apache-2.0',
+        noticeText: 'Bar notice',
+      }),
+
+      new Dependency({
+        name: 'baz',
+        version: '3.0.0',
+      }),
+
+      new Dependency({
+        name: 'quix',
+        version: '4.0.0',
+        license: 'MIT',
+      }),
+    ];
+  });
+
+  it('should generate HTML page grouped by license', () => {
+    const html = formatHtml(dependencies, { options: {} });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<title>Open source licenses</title>');
+    expect(html).toContain('<h1>Open source licenses</h1>');
+
+    const apache = html.indexOf('<h2 id="license-apache-2.0-title">Apache-2.0</h2>');
+    const mit = html.indexOf('<h2 id="license-mit-title">MIT</h2>');
+    const unknown = html.indexOf('<h2 id="license-unknown-license-title">Unknown license</h2>');
+    expect(apache).toBeGreaterThan(0);
+    expect(mit).toBeGreaterThan(apache);
+    expect(unknown).toBeGreaterThan(mit);
+
+    expect(html.indexOf('id="package-foo-1.0.0"')).toBeGreaterThan(mit);
+    expect(html.indexOf('id="package-quix-4.0.0"')).toBeGreaterThan(mit);
+    expect(html).toContain('<li><a href="#license-mit">MIT</a> (2)</li>');
+  });
+
+  it('should generate package entries with anchors and collapsible texts', () => {
+    const html = formatHtml(dependencies, { options: {} });
+
+    expect(html).toContain('<li class="package" id="package-foo-1.0.0" data-search="foo@1.0.0 mit">');
+    expect(html).toContain('<h3><a href="#package-foo-1.0.0">foo@1.0.0</a></h3>');
+    expect(html).toContain('<p>Author: Mickael Jeanroy &lt;mickael.jeanroy@gmail.com&gt;</p>');
+    expect(html).toContain('<p><a href="https://www.foo.com">Homepage</a></p>');
+    expect(html).toContain('<details><summary>License text</summary><pre>The MIT License &lt;MIT&gt;</pre></details>');
+    expect(html).toContain('<details><summary>Notice</summary><pre>Bar notice</pre></details>');
+  });
+
+  it('should generate unique package anchors', () => {
+    const html = formatHtml([
+      new Dependency({ name: '@foo/bar-baz', version: '1.0.0', license: 'MIT' }),
+      new Dependency({ name: '@foo-bar/baz', version: '1.0.0', license: 'MIT' }),
+    ], { options: {} });
+
+    expect(html).toContain('<li class="package" id="package--foo-bar-baz-1.0.0" data-search="@foo/bar-baz@1.0.0 mit">');
+    expect(html).toContain('<h3><a href="#package--foo-bar-baz-1.0.0">@foo/bar-baz@1.0.0</a></h3>');
+    expect(html).toContain('<li class="package" id="package--foo-bar-baz-1.0.0-2" data-search="@foo-bar/baz@1.0.0 mit">');
+    expect(html).toContain('<h3><a href="#package--foo-bar-baz-1.0.0-2">@foo-bar/baz@1.0.0</a></h3>');
+  });
+
+  it('should generate HTML page with a search box', () => {
+    const html = formatHtml(dependencies, { options: {} });
+
+    expect(html).toContain('<label for="search-input">Search packages</label>');
+    expect(html).toContain('<input type="search" id="search-input" autocomplete="off">');
+    expect(html).toContain('<script>');
+  });
+
+  it('should generate HTML page with custom title, style sheet and header', () => {
+    const html = formatHtml(dependencies, {
+      options: {
+        title: 'Licenses & Credits',
+        css: 'body { color: red; }',
+        header: '<h1 class="title">My App</h1>',
+      },
+    });
+
+    expect(html).toContain('<title>Licenses &amp; Credits</title>');
+    expect(html).toContain('body { color: red; }');
+    expect(html).toContain('<header>\n<h1 class="title">My App</h1>\n</header>');
+  });
+
+  it('should generate HTML page without dependencies', () => {
+    const html = formatHtml([], { options: {} });
+
+    expect(html).toContain('<p>No third parties dependencies</p>');
+    expect(html).not.toContain('<nav');
+  });
+});
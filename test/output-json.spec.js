@@ -0,0 +1,108 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatJson } from '../src/output-json';
+
+describe('formatJson', () => {
+  it('should generate JSON report', () => {
+    const dependencies = [
+      new Dependency({ name: 'foo', version: '1.0.0', license: 'MIT' }),
+    ];
+
+    const report = JSON.parse(formatJson(dependencies));
+
+    expect(report).toEqual({
+      schemaVersion: 1,
+      dependencies: [
+        {
+          name: 'foo',
+          version: '1.0.0',
+          license: 'MIT',
+          inferredLicense: null,
+          licenseText: null,
+          licenseFiles: [],
+          noticeText: null,
+          copyrights: [],
+          author: null,
+          contributors: [],
+          repository: null,
+          homepage: null,
+          path: null,
+          file: null,
+          modules: [],
+        },
+      ],
+    });
+  });
+
+  it('should generate JSON report with license files and copyrights', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: '(MIT OR Apache-2.0)',
+        inferredLicense: 'Apache-2.0',
+        licenseText: 'Apache License, Version 2.0',
+        licenseFiles: [
+          { name: 'LICENSE-APACHE', content: 'Apache License, Version 2.0' },
+          { name: 'LICENSE-MIT', content: 'Copyright (c) 2019 Jane Doe' },
+        ],
+      }),
+      new Dependency({
+        name: 'vendor/bar.js',
+        file: 'vendor/bar.js',
+        license: 'MIT',
+      }),
+    ];
+
+    const report = JSON.parse(formatJson(dependencies));
+
+    expect(report.dependencies[0]).toEqual(jasmine.objectContaining({
+      inferredLicense: 'Apache-2.0',
+      licenseFiles: [
+        { name: 'LICENSE-APACHE', content: 'Apache License, Version 2.0' },
+        { name: 'LICENSE-MIT', content: 'Copyright (c) 2019 Jane Doe' },
+      ],
+      copyrights: [
+        { years: '2019', holder: 'Jane Doe' },
+      ],
+      file: null,
+    }));
+
+    expect(report.dependencies[1]).toEqual(jasmine.objectContaining({
+      name: 'vendor/bar.js',
+      file: 'vendor/bar.js',
+    }));
+  });
+
+  it('should generate JSON report without dependencies', () => {
+    const report = JSON.parse(formatJson([]));
+
+    expect(report).toEqual({
+      schemaVersion: 1,
+      dependencies: [],
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatMarkdown } from '../src/output-markdown';
+import { join } from './utils/join';
+
+describe('formatMarkdown', () => {
+  it('should generate Markdown document', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: 'MIT',
+        licenseText: 'Foo License',
+        repository: 'https://github.com/foo/foo',
+      }),
+
+      new Dependency({
+        name: 'bar',
+        version: '2.0.0',
+        license: 'MIT',
+        licenseText: 'Foo License\n',
+        noticeText: 'Bar notice',
+      }),
+    ];
+
+    expect(formatMarkdown(dependencies, { options: {} })).toEqual(join([
+      '# Third-party notices',
+      '',
+      '## Table of contents',
+      '',
+      '- [Summary](#summary)',
+      '- [Dependencies](#dependencies)',
+      '  - [foo@1.0.0](#package-foo-1.0.0)',
+      '  - [bar@2.0.0](#package-bar-2.0.0)',
+      '- [License texts](#license-texts)',
+      '  - [Text 1](#text-1)',
+      '  - [Text 2](#text-2)',
+      '',
+      '<a id="summary"></a>',
+      '',
+      '## Summary',
+      '',
+      '| Name | Version | License | Repository |',
+      '| --- | --- | --- | --- |',
+      '| [foo](#package-foo-1.0.0) | 1.0.0 | MIT | [https://github.com/foo/foo](https://github.com/foo/foo) |',
+      '| [bar](#package-bar-2.0.0) | 2.0.0 | MIT |  |',
+      '',
+      '<a id="dependencies"></a>',
+      '',
+      '## Dependencies',
+      '',
+      '<a id="package-foo-1.0.0"></a>',
+      '',
+      '### foo@1.0.0',
+      '',
+      'License: MIT',
+      '',
+      '- License text: [Text 1](#text-1)',
+      '',
+      '<a id="package-bar-2.0.0"></a>',
+      '',
+      '### bar@2.0.0',
+      '',
+      'License: MIT',
+      '',
+      '- License text: [Text 1](#text-1)',
+      '- Notice: [Text 2](#text-2)',
+      '',
+      '<a id="license-texts"></a>',
+      '',
+      '## License texts',
+      '',
+      '<a id="text-1"></a>',
+      '',
+      '### Text 1',
+      '',
+      'Used by: foo@1.0.0, bar@2.0.0',
+      '',
+      '```text',
+      'Foo License',
+      '```',
+      '',
+      '<a id="text-2"></a>',
+      '',
+      '### Text 2',
+      '',
+      'Used by: bar@2.0.0',
+      '',
+      '```text',
+      'Bar notice',
+      '```',
+    ]));
+  });
+
+  it('should escape Markdown special characters and use longer fences if needed', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo_bar',
+        version: '1.0.0',
+        license: 'MIT',
+        licenseText: 'Some ```code``` block',
+      }),
+    ];
+
+    const markdown = formatMarkdown(dependencies, { options: { title: 'Notices' } });
+
+    expect(markdown).toContain('# Notices');
+    expect(markdown).toContain('### foo\\_bar@1.0.0');
+    expect(markdown).toContain(join(['````text', 'Some ```code``` block', '````']));
+  });
+
+  it('should name license texts with identified license', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: 'ISC',
+        licenseText: join([
+          'ISC License',
+          '',
+          'Copyright (c) 2024 Mickael Jeanroy',
+          '',
+          'Permission to use, copy, modify, and/or distribute this software for any',
+          'purpose with or without fee is hereby granted, provided that the above',
+          'copyright notice and this permission notice appear in all copies.',
+          '',
+          'THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES',
+          'WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF',
+          'MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR',
+          'ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES',
+          'WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN',
+          'ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF',
+          'OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.',
+        ]),
+      }),
+    ];
+
+    expect(formatMarkdown(dependencies, { options: {} })).toContain('### Text 1 (ISC)');
+  });
+
+  it('should write license texts that only differ by their copyright statements once', () => {
+    const mit = (holder) => join([
+      'The MIT License (MIT)',
+      '',
+      `Copyright (c) 2019 ${holder}`,
+      '',
+      'Permission is hereby granted, free of charge...',
+    ]);
+
+    const dependencies = [
+      new Dependency({
+        name: 'foo', version: '1.0.0', license: 'MIT', licenseText: mit('Jane Doe'),
+      }),
+      new Dependency({
+        name: 'bar', version: '2.0.0', license: 'MIT', licenseText: mit('John Doe'),
+      }),
+      new Dependency({
+        name: 'baz', version: '3.0.0', license: 'MIT', licenseText: mit('Acme Inc.'),
+      }),
+    ];
+
+    const markdown = formatMarkdown(dependencies, { options: {} });
+
+    expect(markdown).toContain(join([
+      '### foo@1.0.0',
+      '',
+      'License: MIT',
+      '',
+      '- License text: [Text 1](#text-1)',
+      '',
+      'Copyrights:',
+      '',
+      '- Copyright (c) 2019 Jane Doe',
+    ]));
+
+    expect(markdown).toContain('- Copyright (c) 2019 John Doe');
+    expect(markdown).toContain('- Copyright (c) 2019 Acme Inc.');
+    expect(markdown).not.toContain('Text 2');
+    expect(markdown).toContain(join([
+      'Used by: foo@1.0.0, bar@2.0.0, baz@3.0.0',
+      '',
+      '```text',
+      'The MIT License (MIT)',
+      '',
+      'Permission is hereby granted, free of charge...',
+      '```',
+    ]));
+  });
+
+  it('should generate unique package anchors', () => {
+    const markdown = formatMarkdown([
+      new Dependency({ name: '@foo/bar-baz', version: '1.0.0', license: 'MIT' }),
+      new Dependency({ name: '@foo-bar/baz', version: '1.0.0', license: 'MIT' }),
+    ], { options: {} });
+
+    expect(markdown).toContain('  - [@foo/bar-baz@1.0.0](#package--foo-bar-baz-1.0.0)');
+    expect(markdown).toContain('  - [@foo-bar/baz@1.0.0](#package--foo-bar-baz-1.0.0-2)');
+    expect(markdown).toContain('<a id="package--foo-bar-baz-1.0.0"></a>');
+    expect(markdown).toContain('<a id="package--foo-bar-baz-1.0.0-2"></a>');
+  });
+
+  it('should generate Markdown document without dependencies', () => {
+    expect(formatMarkdown([], { options: {} })).toEqual(join([
+      '# Third-party notices',
+      '',
+      'No third parties dependencies',
+    ]));
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatNotice } from '../src/output-notice';
+import { join } from './utils/join';
+
+describe('formatNotice', () => {
+  it('should format NOTICE texts of dependencies', () => {
+    const dependencies = [
+      new Dependency({ name: 'foo', version: '1.0.0', noticeText: 'Foo notice\n' }),
+      new Dependency({ name: 'bar', version: '2.0.0' }),
+      new Dependency({ name: 'baz', version: '3.0.0', noticeText: 'Baz notice' }),
+    ];
+
+    expect(formatNotice(dependencies)).toEqual(join([
+      'foo@1.0.0',
+      '===',
+      '',
+      'Foo notice',
+      '',
+      '---',
+      '',
+      'baz@3.0.0',
+      '===',
+      '',
+      'Baz notice',
+    ]));
+  });
+
+  it('should write identical NOTICE texts once', () => {
+    const dependencies = [
+      new Dependency({ name: 'foo', version: '1.0.0', noticeText: 'Shared notice' }),
+      new Dependency({ name: 'bar', noticeText: 'Shared notice\n' }),
+    ];
+
+    expect(formatNotice(dependencies)).toEqual(join([
+      'foo@1.0.0',
+      'bar',
+      '===',
+      '',
+      'Shared notice',
+    ]));
+  });
+
+  it('should format dependencies without NOTICE texts', () => {
+    const dependencies = [
+      new Dependency({ name: 'foo', version: '1.0.0' }),
+    ];
+
+    expect(formatNotice(dependencies)).toEqual('No third parties notices');
+  });
+});
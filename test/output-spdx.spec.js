@@ -0,0 +1,303 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatSpdxJson, formatSpdxTagValue } from '../src/output-spdx';
+import { join } from './utils/join';
+
+describe('SPDX output', () => {
+  let pkg;
+  let dependencies;
+
+  beforeEach(() => {
+    pkg = {
+      name: 'my-app',
+      version: '1.0.0',
+      license: 'MIT',
+    };
+
+    dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        description: 'Foo Package',
+        license: 'MIT',
+        homepage: 'https://www.foo.com',
+      }),
+
+      new Dependency({
+        name: '@scope/bar',
+        version: '2.0.0',
+        license: 'Custom License',
+        licenseText: 'Custom License Text',
+      }),
+
+      new Dependency({
+        name: 'baz',
+        version: '3.0.0',
+        license: 'Unknown License',
+      }),
+    ];
+  });
+
+  describe('formatSpdxJson', () => {
+    it('should generate SPDX document', () => {
+      const doc = JSON.parse(formatSpdxJson(dependencies, { pkg }));
+
+      expect(doc.spdxVersion).toBe('SPDX-2.3');
+      expect(doc.dataLicense).toBe('CC0-1.0');
+      expect(doc.SPDXID).toBe('SPDXRef-DOCUMENT');
+      expect(doc.name).toBe('my-app');
+      expect(doc.documentNamespace).toMatch(/^https:\/\/spdx\.org\/spdxdocs\/my-app-[0-9a-f-]{36}$/);
+      expect(doc.creationInfo.created).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+      expect(doc.creationInfo.creators).toEqual(['Tool: rollup-plugin-license']);
+
+      expect(doc.packages).toEqual([
+        {
+          name: 'my-app',
+          SPDXID: 'SPDXRef-Bundle',
+          versionInfo: '1.0.0',
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: 'MIT',
+          copyrightText: 'NOASSERTION',
+        },
+        {
+          name: 'foo',
+          SPDXID: 'SPDXRef-Package-foo-1.0.0',
+          versionInfo: '1.0.0',
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          homepage: 'https://www.foo.com',
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: 'MIT',
+          copyrightText: 'NOASSERTION',
+          description: 'Foo Package',
+          externalRefs: [
+            { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/foo@1.0.0' },
+          ],
+        },
+        {
+          name: '@scope/bar',
+          SPDXID: 'SPDXRef-Package-scope-bar-2.0.0',
+          versionInfo: '2.0.0',
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: 'LicenseRef-scope-bar',
+          copyrightText: 'NOASSERTION',
+          externalRefs: [
+            { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/%40scope/bar@2.0.0' },
+          ],
+        },
+        {
+          name: 'baz',
+          SPDXID: 'SPDXRef-Package-baz-3.0.0',
+          versionInfo: '3.0.0',
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: 'NOASSERTION',
+          licenseComments: 'Declared license: Unknown License',
+          copyrightText: 'NOASSERTION',
+          externalRefs: [
+            { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: 'pkg:npm/baz@3.0.0' },
+          ],
+        },
+      ]);
+
+      expect(doc.relationships).toEqual([
+        { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Bundle' },
+        { spdxElementId: 'SPDXRef-Bundle', relationshipType: 'CONTAINS', relatedSpdxElement: 'SPDXRef-Package-foo-1.0.0' },
+        { spdxElementId: 'SPDXRef-Bundle', relationshipType: 'CONTAINS', relatedSpdxElement: 'SPDXRef-Package-scope-bar-2.0.0' },
+        { spdxElementId: 'SPDXRef-Bundle', relationshipType: 'CONTAINS', relatedSpdxElement: 'SPDXRef-Package-baz-3.0.0' },
+      ]);
+
+      expect(doc.hasExtractedLicensingInfos).toEqual([
+        { licenseId: 'LicenseRef-scope-bar', extractedText: 'Custom License Text', name: 'Custom License' },
+      ]);
+    });
+
+    it('should generate SPDX package with concluded license identified from license text', () => {
+      const dependency = new Dependency({
+        name: 'quix',
+        version: '1.0.0',
+        inferredLicense: 'MIT',
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependency], { pkg }));
+
+      expect(doc.packages[1].licenseConcluded).toBe('MIT');
+      expect(doc.packages[1].licenseDeclared).toBe('NOASSERTION');
+    });
+
+    it('should generate SPDX package of file-level component', () => {
+      const dependency = new Dependency({
+        name: 'src/vendor/foo.js',
+        file: 'src/vendor/foo.js',
+        license: 'BSD-3-Clause',
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependency], { pkg }));
+
+      expect(doc.packages[1].packageFileName).toBe('src/vendor/foo.js');
+      expect(doc.packages[1].licenseDeclared).toBe('BSD-3-Clause');
+      expect(doc.packages[1].externalRefs).not.toBeDefined();
+    });
+
+    it('should generate SPDX package with attribution text of each license file', () => {
+      const dependency = new Dependency({
+        name: 'quix',
+        version: '1.0.0',
+        license: '(MIT OR Apache-2.0)',
+        licenseFiles: [
+          { name: 'LICENSE-APACHE', content: 'Apache License text' },
+          { name: 'LICENSE-MIT', content: 'MIT License text' },
+        ],
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependency], { pkg }));
+
+      expect(doc.packages[1].attributionTexts).toEqual([
+        'Apache License text',
+        'MIT License text',
+      ]);
+    });
+
+    it('should generate SPDX package with copyright text', () => {
+      const dependency = new Dependency({
+        name: 'quix',
+        version: '1.0.0',
+        license: 'MIT',
+        licenseText: 'Copyright (c) 2019 Jane Doe',
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependency], { pkg }));
+
+      expect(doc.packages[1].copyrightText).toBe('Copyright (c) 2019 Jane Doe');
+    });
+
+    it('should generate SPDX document without extracted licensing info', () => {
+      const doc = JSON.parse(formatSpdxJson([dependencies[0]], { pkg }));
+      expect(doc.hasExtractedLicensingInfos).not.toBeDefined();
+    });
+
+    it('should share extracted licensing info between dependencies with the same license text', () => {
+      const other = new Dependency({
+        name: 'quix',
+        version: '1.0.0',
+        license: 'Custom License',
+        licenseText: 'Custom License Text',
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependencies[1], other], { pkg }));
+
+      expect(doc.packages[2].licenseDeclared).toBe('LicenseRef-scope-bar');
+      expect(doc.hasExtractedLicensingInfos.length).toBe(1);
+    });
+
+    it('should generate unique identifiers for dependencies with the same idstring', () => {
+      const other = new Dependency({
+        name: 'scope-bar',
+        version: '2.0.0',
+        license: 'Other License',
+        licenseText: 'Other License Text',
+      });
+
+      const doc = JSON.parse(formatSpdxJson([dependencies[1], other], { pkg }));
+
+      expect(doc.packages[1].SPDXID).toBe('SPDXRef-Package-scope-bar-2.0.0');
+      expect(doc.packages[1].licenseDeclared).toBe('LicenseRef-scope-bar');
+      expect(doc.packages[2].SPDXID).toBe('SPDXRef-Package-scope-bar-2.0.0-2');
+      expect(doc.packages[2].licenseDeclared).toBe('LicenseRef-scope-bar-2');
+      expect(doc.hasExtractedLicensingInfos).toEqual([
+        { licenseId: 'LicenseRef-scope-bar', extractedText: 'Custom License Text', name: 'Custom License' },
+        { licenseId: 'LicenseRef-scope-bar-2', extractedText: 'Other License Text', name: 'Other License' },
+      ]);
+    });
+  });
+
+  describe('formatSpdxTagValue', () => {
+    it('should generate SPDX document', () => {
+      const doc = formatSpdxTagValue(dependencies, { pkg });
+      const sections = doc.split('\n\n');
+
+      expect(sections.length).toBe(7);
+      expect(sections[0]).toMatch(new RegExp(join([
+        'SPDXVersion: SPDX-2\\.3',
+        'DataLicense: CC0-1\\.0',
+        'SPDXID: SPDXRef-DOCUMENT',
+        'DocumentName: my-app',
+        'DocumentNamespace: https://spdx\\.org/spdxdocs/my-app-[0-9a-f-]{36}',
+        'Creator: Tool: rollup-plugin-license',
+        'Created: \\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}Z',
+      ])));
+
+      expect(sections[2]).toEqual(join([
+        'PackageName: foo',
+        'SPDXID: SPDXRef-Package-foo-1.0.0',
+        'PackageVersion: 1.0.0',
+        'PackageDownloadLocation: NOASSERTION',
+        'FilesAnalyzed: false',
+        'PackageHomePage: https://www.foo.com',
+        'PackageLicenseConcluded: NOASSERTION',
+        'PackageLicenseDeclared: MIT',
+        'PackageCopyrightText: NOASSERTION',
+        'PackageDescription: <text>Foo Package</text>',
+        'ExternalRef: PACKAGE-MANAGER purl pkg:npm/foo@1.0.0',
+      ]));
+
+      expect(sections[4]).toContain('PackageLicenseComments: <text>Declared license: Unknown License</text>');
+
+      expect(sections[5]).toEqual(join([
+        'Relationship: SPDXRef-DOCUMENT DESCRIBES SPDXRef-Bundle',
+        'Relationship: SPDXRef-Bundle CONTAINS SPDXRef-Package-foo-1.0.0',
+        'Relationship: SPDXRef-Bundle CONTAINS SPDXRef-Package-scope-bar-2.0.0',
+        'Relationship: SPDXRef-Bundle CONTAINS SPDXRef-Package-baz-3.0.0',
+      ]));
+
+      expect(sections[6]).toEqual(join([
+        'LicenseID: LicenseRef-scope-bar',
+        'ExtractedText: <text>Custom License Text</text>',
+        'LicenseName: Custom License',
+      ]));
+    });
+
+    it('should generate SPDX package attribution texts', () => {
+      const dependency = new Dependency({
+        name: 'quix',
+        version: '1.0.0',
+        license: 'MIT',
+        licenseFiles: [
+          { name: 'LICENSE', content: 'MIT License text' },
+        ],
+      });
+
+      const doc = formatSpdxTagValue([dependency], { pkg });
+
+      expect(doc).toContain('PackageAttributionText: <text>MIT License text</text>');
+    });
+  });
+});
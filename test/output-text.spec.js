@@ -0,0 +1,195 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Dependency } from '../src/dependency';
+import { formatText } from '../src/output-text';
+import { join } from './utils/join';
+
+describe('formatText', () => {
+  const mit = (holder) => join([
+    'The MIT License (MIT)',
+    '',
+    `Copyright (c) 2019 ${holder}`,
+    '',
+    'Permission is hereby granted, free of charge...',
+  ]);
+
+  it('should format dependencies with their license texts', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo', version: '1.0.0', license: 'MIT', licenseText: 'MIT License',
+      }),
+      new Dependency({
+        name: 'bar', version: '2.0.0', license: 'MIT', licenseText: 'MIT License',
+      }),
+    ];
+
+    expect(formatText(dependencies)).toEqual(join([
+      'Name: foo',
+      'Version: 1.0.0',
+      'License: MIT',
+      'Private: false',
+      'License Text:',
+      '===',
+      '',
+      'MIT License',
+      '',
+      '---',
+      '',
+      'Name: bar',
+      'Version: 2.0.0',
+      'License: MIT',
+      'Private: false',
+      'License Text:',
+      '===',
+      '',
+      'MIT License',
+    ]));
+  });
+
+  it('should write identical license texts once', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo', version: '1.0.0', license: 'MIT', licenseText: mit('Jane Doe'),
+      }),
+      new Dependency({
+        name: 'bar', version: '2.0.0', license: 'MIT', licenseText: `  ${mit('John Doe')}  \n\n\n`,
+      }),
+      new Dependency({
+        name: 'baz', version: '3.0.0', license: 'ISC', licenseText: 'ISC License',
+      }),
+      new Dependency({ name: 'quux', version: '4.0.0', license: 'MIT' }),
+    ];
+
+    const options = {
+      deduplicateLicenseTexts: true,
+    };
+
+    expect(formatText(dependencies, { options })).toEqual(join([
+      'Name: foo',
+      'Version: 1.0.0',
+      'License: MIT',
+      'Private: false',
+      'Copyrights:',
+      '  Copyright (c) 2019 Jane Doe',
+      '',
+      '---',
+      '',
+      'Name: bar',
+      'Version: 2.0.0',
+      'License: MIT',
+      'Private: false',
+      'Copyrights:',
+      '  Copyright (c) 2019 John Doe',
+      '',
+      '---',
+      '',
+      'Name: baz',
+      'Version: 3.0.0',
+      'License: ISC',
+      'Private: false',
+      '',
+      '---',
+      '',
+      'Name: quux',
+      'Version: 4.0.0',
+      'License: MIT',
+      'Private: false',
+      '',
+      '---',
+      '',
+      'License Text used by:',
+      '  foo@1.0.0',
+      '  bar@2.0.0',
+      '===',
+      '',
+      'The MIT License (MIT)',
+      '',
+      'Permission is hereby granted, free of charge...',
+      '',
+      '---',
+      '',
+      'License Text used by:',
+      '  baz@3.0.0',
+      '===',
+      '',
+      'ISC License',
+    ]));
+  });
+
+  it('should write each license file of dependencies with multiple license files', () => {
+    const dependencies = [
+      new Dependency({
+        name: 'foo',
+        version: '1.0.0',
+        license: '(MIT OR Apache-2.0)',
+        licenseText: 'Apache License, Version 2.0',
+        licenseFiles: [
+          { name: 'LICENSE-APACHE', content: 'Apache License, Version 2.0' },
+          { name: 'LICENSE-MIT', content: 'MIT License' },
+        ],
+      }),
+      new Dependency({ name: 'bar', license: 'MIT', licenseText: 'MIT License' }),
+    ];
+
+    const options = {
+      deduplicateLicenseTexts: true,
+    };
+
+    expect(formatText(dependencies, { options })).toEqual(join([
+      'Name: foo',
+      'Version: 1.0.0',
+      'License: (MIT OR Apache-2.0)',
+      'Private: false',
+      '',
+      '---',
+      '',
+      'Name: bar',
+      'Version: null',
+      'License: MIT',
+      'Private: false',
+      '',
+      '---',
+      '',
+      'License Text used by:',
+      '  foo@1.0.0',
+      '===',
+      '',
+      'Apache License, Version 2.0',
+      '',
+      '---',
+      '',
+      'License Text used by:',
+      '  foo@1.0.0',
+      '  bar',
+      '===',
+      '',
+      'MIT License',
+    ]));
+  });
+
+  it('should format empty dependencies', () => {
+    expect(formatText([], { options: { deduplicateLicenseTexts: true } })).toEqual('No third parties dependencies');
+  });
+});
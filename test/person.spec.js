@@ -115,4 +115,14 @@ describe('Person', () => {
       'Mickael Jeanroy <mickael.jeanroy@gmail.com> (https://mjeanroy.com)',
     );
   });
+
+  it('should serialize person to JSON', () => {
+    const person = new Person('Mickael Jeanroy <mickael.jeanroy@gmail.com>');
+
+    expect(JSON.parse(JSON.stringify(person))).toEqual({
+      name: 'Mickael Jeanroy',
+      email: 'mickael.jeanroy@gmail.com',
+      url: null,
+    });
+  });
 });
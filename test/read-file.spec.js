@@ -25,7 +25,7 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import tmp from 'tmp';
-import { readFile } from '../src/read-file';
+import { readFile, readFiles } from '../src/read-file';
 
 describe('readFile', () => {
   let tmpDir;
@@ -72,4 +72,31 @@ describe('readFile', () => {
     const content = readFile(dir, name);
     expect(content).toEqual('LICENSE.md file');
   });
+
+  it('should read all files matching given names', () => {
+    const dir = path.join(__dirname, 'fixtures', 'fake-package-16');
+    const files = readFiles(dir, ['license', 'copying']);
+    expect(files).toEqual([
+      { name: 'LICENSE-APACHE', content: 'LICENSE-APACHE file\n' },
+      { name: 'LICENSE-MIT', content: 'LICENSE-MIT file\n' },
+    ]);
+  });
+
+  it('should read files in the order of given names', async () => {
+    await fs.writeFile(path.join(tmpDir.name, 'LICENSE'), 'LICENSE file');
+    await fs.writeFile(path.join(tmpDir.name, 'COPYING'), 'COPYING file');
+
+    const files = readFiles(tmpDir.name, ['copying', 'license']);
+    expect(files).toEqual([
+      { name: 'COPYING', content: 'COPYING file' },
+      { name: 'LICENSE', content: 'LICENSE file' },
+    ]);
+  });
+
+  it('should ignore empty files', async () => {
+    await fs.writeFile(path.join(tmpDir.name, 'LICENSE'), '  \n');
+
+    const files = readFiles(tmpDir.name, 'license');
+    expect(files).toEqual([]);
+  });
 });
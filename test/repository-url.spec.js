@@ -0,0 +1,48 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { repositoryUrl } from '../src/repository-url';
+
+describe('repositoryUrl', () => {
+  it('should return null without repository', () => {
+    expect(repositoryUrl(null)).toBeNull();
+  });
+
+  it('should return repository defined as a string', () => {
+    expect(repositoryUrl('https://github.com/mjeanroy/rollup-plugin-license')).toBe('https://github.com/mjeanroy/rollup-plugin-license');
+  });
+
+  it('should return url of repository defined as an object', () => {
+    const repository = {
+      type: 'git',
+      url: 'https://github.com/mjeanroy/rollup-plugin-license',
+    };
+
+    expect(repositoryUrl(repository)).toBe('https://github.com/mjeanroy/rollup-plugin-license');
+  });
+
+  it('should return null with repository object without url', () => {
+    expect(repositoryUrl({ type: 'git' })).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2024 Mickael Jeanroy
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { findComments, findLeadingComments } from '../src/source-comments';
+import { join } from './utils/join';
+
+describe('source comments', () => {
+  describe('findComments', () => {
+    it('should find block and line comments', () => {
+      const code = join([
+        '/* foo */',
+        'var foo = "/* not a comment */"; // bar',
+      ]);
+
+      expect(findComments(code)).toEqual([
+        { start: 0, end: 9, block: true },
+        { start: 43, end: 49, block: false },
+      ]);
+    });
+
+    it('should find comments of scripts', () => {
+      expect(findComments('with (foo) { bar(); } /* foo */')).toEqual([
+        { start: 22, end: 31, block: true },
+      ]);
+    });
+
+    it('should ignore hashbang', () => {
+      expect(findComments('#!/usr/bin/env node\n// foo')).toEqual([
+        { start: 20, end: 26, block: false },
+      ]);
+    });
+
+    it('should return null if code cannot be parsed', () => {
+      expect(findComments('const foo: number = 1; /* foo */')).toBeNull();
+    });
+  });
+
+  describe('findLeadingComments', () => {
+    it('should find comments before the first token', () => {
+      const code = join([
+        '#!/usr/bin/env node',
+        '/* foo */',
+        '// bar',
+        'const foo: number = 1; /* baz */',
+      ]);
+
+      expect(findLeadingComments(code)).toEqual([
+        { start: 20, end: 29, block: true },
+        { start: 30, end: 36, block: false },
+      ]);
+    });
+
+    it('should ignore unterminated comments', () => {
+      expect(findLeadingComments('/* foo')).toEqual([]);
+    });
+  });
+});